@@ -0,0 +1,74 @@
+// Persistent cache of CODEOWNERS files and analysis results in
+// chrome.storage.local, so repeat visits and navigations between pull
+// requests render without waiting for GitHub. Entries belong to a repository
+// and are evicted oldest first.
+
+const ANALYSIS_CACHE_PREFIX = 'cache:';
+// Key -> time stored, to evict without reading every entry
+const ANALYSIS_CACHE_INDEX_KEY = 'cacheIndex';
+const ANALYSIS_CACHE_MAX_ENTRIES = 100;
+
+class AnalysisCache {
+    // repositoryKey as returned by getRepositoryKey (settings.js)
+    constructor({ repositoryKey, log = () => {} }) {
+        this.prefix = `${ANALYSIS_CACHE_PREFIX}${repositoryKey}:`;
+        this.log = log;
+        // Index updates are serialized so concurrent writes don't drop entries
+        this.indexUpdate = Promise.resolve();
+    }
+
+    async get(name) {
+        const key = this.prefix + name;
+        try {
+            const { [key]: entry } = await chrome.storage.local.get(key);
+            return entry ? entry.value : null;
+        } catch (error) {
+            console.warn('Could not read the analysis cache:', error);
+            return null;
+        }
+    }
+
+    async set(name, value) {
+        const key = this.prefix + name;
+        const storedAt = Date.now();
+        try {
+            await chrome.storage.local.set({ [key]: { value, storedAt } });
+            await this.updateIndex(index => {
+                index[key] = storedAt;
+
+                const keys = Object.keys(index).sort((a, b) => index[a] - index[b]);
+                return keys.slice(0, Math.max(0, keys.length - ANALYSIS_CACHE_MAX_ENTRIES));
+            });
+        } catch (error) {
+            // E.g. the storage quota is exceeded; the cache is only an optimization
+            console.warn('Could not write the analysis cache:', error);
+        }
+    }
+
+    async delete(name) {
+        const key = this.prefix + name;
+        await this.updateIndex(() => [key]);
+    }
+
+    // Drops every entry of the repository
+    async clear() {
+        await this.updateIndex(index => Object.keys(index).filter(key => key.startsWith(this.prefix)));
+        this.log('Cleared the analysis cache of', this.prefix);
+    }
+
+    // update(index) may change the index and returns the keys to remove
+    updateIndex(update) {
+        this.indexUpdate = this.indexUpdate.then(async () => {
+            const { [ANALYSIS_CACHE_INDEX_KEY]: index = {} } = await chrome.storage.local.get(ANALYSIS_CACHE_INDEX_KEY);
+            const removed = update(index);
+            removed.forEach(key => delete index[key]);
+            if (removed.length > 0) {
+                await chrome.storage.local.remove(removed);
+            }
+            await chrome.storage.local.set({ [ANALYSIS_CACHE_INDEX_KEY]: index });
+        }).catch(error => {
+            console.warn('Could not update the analysis cache index:', error);
+        });
+        return this.indexUpdate;
+    }
+}
@@ -0,0 +1,139 @@
+// Runs the ownership analysis off GitHub's UI thread. Requests go to a Web
+// Worker in the extension's offscreen document (see analysis-offscreen.js);
+// if that can't be set up, the same handler runs in the page instead.
+
+const ANALYSIS_PORT_NAME = 'ownership-analysis';
+
+// Replies that complete a request; everything else is progress
+const FINAL_ANALYSIS_MESSAGES = ['codeowners', 'result', 'combinedSets', 'lintFindings', 'codeownersImpact', 'error'];
+
+class AnalysisClient {
+    constructor({ log = () => {} } = {}) {
+        this.log = log;
+        this.port = null;
+        this.localHandler = null;
+        this.nextId = 1;
+        // Request id -> { resolve, reject, onMessage }
+        this.pending = new Map();
+        this.currentAnalysisId = null;
+        // Sent again when the worker has to be restarted
+        this.codeownersContent = null;
+    }
+
+    async connect() {
+        if (this.port || this.localHandler) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'ensureAnalysisDocument' });
+            if (!response || !response.ok) {
+                throw new Error(response?.error || 'No response from the background worker');
+            }
+
+            this.port = chrome.runtime.connect({ name: ANALYSIS_PORT_NAME });
+            this.port.onMessage.addListener(message => this.handleMessage(message));
+            this.port.onDisconnect.addListener(() => {
+                this.port = null;
+                this.settlePending(pending => pending.reject(new Error('Analysis worker disconnected')));
+            });
+            this.log('Connected to the analysis worker');
+        } catch (error) {
+            console.warn('Analysis worker unavailable, analyzing in the page:', error);
+            this.localHandler = createAnalysisHandler(message => this.handleMessage(message));
+        }
+    }
+
+    handleMessage(message) {
+        const pending = this.pending.get(message.id);
+        if (!pending) return;
+
+        if (!FINAL_ANALYSIS_MESSAGES.includes(message.type)) {
+            pending.onMessage(message);
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'error') {
+            pending.reject(new Error(message.message));
+        } else {
+            pending.resolve(message);
+        }
+    }
+
+    settlePending(settle) {
+        const pending = Array.from(this.pending.values());
+        this.pending.clear();
+        pending.forEach(settle);
+    }
+
+    async request(type, payload = {}, onMessage = () => {}) {
+        const needsCodeowners = !this.port && !this.localHandler && type !== 'setCodeowners' && this.codeownersContent !== null;
+        await this.connect();
+
+        // A restarted worker has lost the parsed CODEOWNERS file
+        if (needsCodeowners) {
+            await this.request('setCodeowners', { content: this.codeownersContent });
+        }
+
+        const id = this.nextId++;
+        if (type === 'analyze') {
+            this.currentAnalysisId = id;
+        }
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onMessage });
+            const message = { id, type, ...payload };
+            if (this.port) {
+                this.port.postMessage(message);
+            } else {
+                this.localHandler(message);
+            }
+        });
+    }
+
+    // Returns { owners, ruleCount, errors }
+    async setCodeowners(content) {
+        this.codeownersContent = content;
+        return this.request('setCodeowners', { content });
+    }
+
+    // Runs an analysis, passing 'files' and 'partial' messages to onMessage as
+    // they arrive. Resolves with the final result, or null when a newer
+    // analysis or disconnect() cancelled it.
+    async analyze(request, onMessage) {
+        // Only the latest analysis matters; the worker drops the older one
+        const previous = this.pending.get(this.currentAnalysisId);
+        if (previous) {
+            this.pending.delete(this.currentAnalysisId);
+            previous.resolve(null);
+        }
+
+        return this.request('analyze', request, onMessage);
+    }
+
+    // Returns the next batch of combined sets as { combinedSets, hasMore }
+    async moreCombinedSets() {
+        return this.request('moreCombinedSets');
+    }
+
+    // Lints CODEOWNERS content, optionally against the repository's file paths.
+    // Resolves with { findings }, or null when disconnect() cancelled it.
+    async lint(content, files = null) {
+        return this.request('lint', { content, files });
+    }
+
+    // Compares file ownership under two CODEOWNERS versions. Resolves with
+    // { paths, owners, fileCount }, or null when disconnect() cancelled it.
+    async compareCodeowners(baseContent, headContent, files) {
+        return this.request('compareCodeowners', { baseContent, headContent, files });
+    }
+
+    // Stops the analysis. With a worker, closing the port terminates it.
+    disconnect() {
+        if (this.port) {
+            this.port.disconnect();
+            this.port = null;
+        } else if (this.localHandler) {
+            this.localHandler({ type: 'cancel' });
+        }
+        this.settlePending(pending => pending.resolve(null));
+    }
+}
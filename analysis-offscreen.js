@@ -0,0 +1,22 @@
+// Offscreen document hosting the analysis workers. Content scripts can't start
+// extension workers on GitHub's origin, so they connect here instead and each
+// connection gets its own worker. Closing the connection, e.g. when the user
+// navigates away, terminates the worker and any analysis still running.
+
+// Must match ANALYSIS_PORT_NAME in analysis-client.js
+const ANALYSIS_PORT_NAME = 'ownership-analysis';
+
+chrome.runtime.onConnect.addListener(port => {
+    if (port.name !== ANALYSIS_PORT_NAME) return;
+
+    const worker = new Worker('analysis-worker.js');
+    worker.onmessage = event => port.postMessage(event.data);
+    worker.onerror = event => {
+        console.error('Analysis worker failed:', event.message);
+        port.disconnect();
+        worker.terminate();
+    };
+
+    port.onMessage.addListener(message => worker.postMessage(message));
+    port.onDisconnect.addListener(() => worker.terminate());
+});
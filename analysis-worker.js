@@ -0,0 +1,7 @@
+// Web Worker running the ownership analysis for one content script connection.
+// Messages follow the protocol of createAnalysisHandler (ownership-core.js).
+importScripts('set-cover.js', 'ownership-core.js');
+
+const handleRequest = createAnalysisHandler(message => postMessage(message));
+
+onmessage = event => handleRequest(event.data);
@@ -1,4 +1,258 @@
+importScripts('settings.js');
+
+const CONTENT_SCRIPT_ID = 'code-owners-analyzer';
+const CONTENT_SCRIPT_FILES = [
+    'settings.js',
+    'github-api.js',
+    'set-cover.js',
+    'ownership-core.js',
+    'ownership-report.js',
+    'data-providers.js',
+    'analysis-client.js',
+    'analysis-cache.js',
+    'pull-list.js',
+    'content.js'
+];
+const ANALYSIS_DOCUMENT_URL = 'analysis.html';
+
+// Register the content script for every enabled location whose host the user
+// granted access to. Enterprise hosts are optional permissions requested by the
+// options page, so they may be missing.
+async function registerContentScripts() {
+    const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+
+    const grantedMatches = [];
+    for (const match of getContentScriptMatches(settings)) {
+        const origin = match.replace(/^(https:\/\/[^/]+)\/.*$/, '$1/*');
+        if (await chrome.permissions.contains({ origins: [origin] })) {
+            grantedMatches.push(match);
+        } else {
+            debugLog('No host permission for', origin, '- skipping', match);
+        }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [CONTENT_SCRIPT_ID] });
+    }
+
+    if (grantedMatches.length === 0) {
+        debugLog('No enabled locations with host permissions, content script not registered');
+        return;
+    }
+
+    await chrome.scripting.registerContentScripts([{
+        id: CONTENT_SCRIPT_ID,
+        matches: grantedMatches,
+        js: CONTENT_SCRIPT_FILES,
+        css: ['styles.css'],
+        runAt: 'document_idle'
+    }]);
+    debugLog('Registered content script for:', grantedMatches);
+}
+
+// Registrations are serialized so overlapping updates don't race
+let registration = Promise.resolve();
+function updateContentScripts() {
+    registration = registration
+        .then(registerContentScripts)
+        .catch(error => console.error('Failed to register content scripts:', error));
+    return registration;
+}
+
+const ENABLED_ICONS = {
+    16: 'icons/icon16.png',
+    48: 'icons/icon48.png',
+    128: 'icons/icon128.png'
+};
+const DISABLED_ICONS = {
+    16: 'icons/icon16_disabled.png',
+    48: 'icons/icon48_disabled.png',
+    128: 'icons/icon128_disabled.png'
+};
+const ACTION_TITLE = 'GitHub PR Code Owners Analyzer';
+const REPOSITORY_MENU_ID = 'toggle-repository';
+
+// "host/org/repo" key of the repository a tab shows, or null for other pages.
+// Tab URLs are only visible on hosts the extension has access to.
+function getTabRepositoryKey(tab) {
+    if (!tab || !tab.url) return null;
+
+    let url;
+    try {
+        url = new URL(tab.url);
+    } catch (error) {
+        return null;
+    }
+    if (url.protocol !== 'https:') return null;
+
+    const [, org, repo] = url.pathname.split('/');
+    if (!org || !repo) return null;
+    return getRepositoryKey(url.host, org, repo);
+}
+
+function isTabToggledOn(toggleState, tab) {
+    const repositoryKey = getTabRepositoryKey(tab);
+    return toggleState.enabled && !(repositoryKey && toggleState.disabledRepositories.includes(repositoryKey));
+}
+
+// Icon, badge and title of a single tab. Tab-specific values override the
+// global ones, so repositories switched off on their own show as off too.
+async function updateTabAction(toggleState, tab) {
+    const enabled = isTabToggledOn(toggleState, tab);
+    let title = ACTION_TITLE;
+    if (!toggleState.enabled) {
+        title += ' (off, click to turn on)';
+    } else if (!enabled) {
+        title += ' (off for this repository)';
+    }
+
+    await Promise.all([
+        chrome.action.setIcon({ tabId: tab.id, path: enabled ? ENABLED_ICONS : DISABLED_ICONS }),
+        chrome.action.setBadgeText({ tabId: tab.id, text: enabled ? '' : 'OFF' }),
+        chrome.action.setTitle({ tabId: tab.id, title })
+    ]);
+}
+
+// Keep the action context menu checkbox in sync with the active tab
+async function updateRepositoryMenu(toggleState, tab) {
+    const repositoryKey = getTabRepositoryKey(tab);
+    await chrome.contextMenus.update(REPOSITORY_MENU_ID, {
+        enabled: !!repositoryKey,
+        checked: !repositoryKey || !toggleState.disabledRepositories.includes(repositoryKey)
+    });
+}
+
+async function updateAction() {
+    const toggleState = await loadToggleState();
+
+    await chrome.action.setIcon({ path: toggleState.enabled ? ENABLED_ICONS : DISABLED_ICONS });
+    await chrome.action.setBadgeText({ text: toggleState.enabled ? '' : 'OFF' });
+    await chrome.action.setBadgeBackgroundColor({ color: '#6e7781' });
+
+    const tabs = await chrome.tabs.query({});
+    await Promise.all(tabs.map(tab => updateTabAction(toggleState, tab).catch(() => {})));
+
+    const [activeTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    if (activeTab) {
+        await updateRepositoryMenu(toggleState, activeTab);
+    }
+}
+
+// Tell every open tab to tear down or rebuild the panel. Tabs without the
+// content script reject the message, which is fine.
+async function notifyTabs(toggleState) {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        chrome.tabs.sendMessage(tab.id, {
+            type: 'toggleStateChanged',
+            enabled: isTabToggledOn(toggleState, tab)
+        }).catch(() => {});
+    }
+}
+
+async function saveToggleState(toggleState) {
+    await chrome.storage.local.set({ [TOGGLE_STATE_KEY]: toggleState });
+    debugLog('Toggle state changed:', toggleState);
+    await updateAction();
+    await notifyTabs(toggleState);
+}
+
+// A click on the toolbar button switches the analyzer on or off everywhere
+chrome.action.onClicked.addListener(async () => {
+    const toggleState = await loadToggleState();
+    await saveToggleState({ ...toggleState, enabled: !toggleState.enabled });
+});
+
+// The action context menu switches it on or off for the current repository
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (info.menuItemId !== REPOSITORY_MENU_ID) return;
+
+    const repositoryKey = getTabRepositoryKey(tab);
+    if (!repositoryKey) return;
+
+    const toggleState = await loadToggleState();
+    const disabledRepositories = toggleState.disabledRepositories.filter(key => key !== repositoryKey);
+    if (!info.checked) {
+        disabledRepositories.push(repositoryKey);
+    }
+    await saveToggleState({ ...toggleState, disabledRepositories });
+});
+
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+    const [toggleState, tab] = await Promise.all([loadToggleState(), chrome.tabs.get(tabId)]);
+    await updateRepositoryMenu(toggleState, tab);
+});
+
+// Tab-specific icons are reset when a tab navigates
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+    if (!changeInfo.url && changeInfo.status !== 'complete') return;
+
+    const toggleState = await loadToggleState();
+    await updateTabAction(toggleState, tab);
+    if (tab.active) {
+        await updateRepositoryMenu(toggleState, tab);
+    }
+});
+
+// The offscreen document hosting the analysis workers is created on first use
+// and shared by all tabs
+let creatingAnalysisDocument = null;
+async function ensureAnalysisDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL(ANALYSIS_DOCUMENT_URL)]
+    });
+    if (contexts.length > 0) return;
+
+    if (!creatingAnalysisDocument) {
+        creatingAnalysisDocument = chrome.offscreen.createDocument({
+            url: ANALYSIS_DOCUMENT_URL,
+            reasons: ['WORKERS'],
+            justification: 'Runs the code owners analysis in Web Workers, off the GitHub page'
+        }).finally(() => {
+            creatingAnalysisDocument = null;
+        });
+    }
+    await creatingAnalysisDocument;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type !== 'ensureAnalysisDocument') return false;
+
+    ensureAnalysisDocument()
+        .then(() => sendResponse({ ok: true }))
+        .catch(error => {
+            console.error('Failed to create the analysis document:', error);
+            sendResponse({ ok: false, error: error.message });
+        });
+    return true;
+});
+
 // Log when extension is installed
 chrome.runtime.onInstalled.addListener(() => {
     console.log('GitHub PR Code Owners Analyzer installed');
-}); 
\ No newline at end of file
+    chrome.contextMenus.create({
+        id: REPOSITORY_MENU_ID,
+        title: 'Run on this repository',
+        type: 'checkbox',
+        checked: true,
+        contexts: ['action']
+    });
+    updateContentScripts();
+    updateAction();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    updateContentScripts();
+    updateAction();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && ('enabledOrganizations' in changes || 'enabledRepositories' in changes)) {
+        updateContentScripts();
+    }
+});
+
+chrome.permissions.onAdded.addListener(updateContentScripts);
+chrome.permissions.onRemoved.addListener(updateContentScripts);
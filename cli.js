@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Command line version of the analyzer for a local git checkout, e.g. in a
+// pre-push hook. It runs the same DOM-free core as the extension on the files
+// of `git diff --name-only base...head` and needs no network access.
+//
+//   node cli.js [--repo <dir>] [--base <ref>] [--head <ref>] [--author <login>]
+//               [--ignore <owners>] [--max-size <n>] [--limit <n>] [--format <format>]
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const vm = require('vm');
+
+// The core files are classic scripts sharing one global scope; load them the
+// way analysis-worker.js does with importScripts. settings.js adds the defaults.
+['settings.js', 'set-cover.js', 'ownership-core.js', 'ownership-report.js'].forEach(file => {
+    const filename = path.join(__dirname, file);
+    vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+});
+
+// Locations GitHub checks for a CODEOWNERS file, in order of precedence
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+const USAGE = `Usage: node cli.js [options]
+
+Prints who can approve the changes between two refs of a local git repository.
+
+Options:
+  --repo <dir>       repository to analyze (default: current directory)
+  --base <ref>       base of the comparison, whose CODEOWNERS file is used
+                     (default: the remote's default branch, e.g. origin/main)
+  --head <ref>       head of the comparison (default: HEAD)
+  --author <login>   pull request author, who can't approve their own changes
+  --ignore <owners>  comma-separated owners to leave out, e.g. bots
+  --max-size <n>     maximum number of owners in a combined set (default: ${DEFAULT_SETTINGS.maxCombinationSize})
+  --limit <n>        number of combined sets to print (default: ${DEFAULT_SETTINGS.maxCombinationsToShow})
+  --format <format>  text (default), or an export format: ${Object.keys(REPORT_FORMATS).join(', ')}
+  --json             same as --format json
+  -h, --help         show this help`;
+
+class UsageError extends Error {}
+
+function git(repo, args) {
+    return execFileSync('git', ['-C', repo, ...args], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// origin/HEAD points at the remote's default branch once it is known
+function getDefaultBase(repo) {
+    try {
+        return git(repo, ['rev-parse', '--abbrev-ref', 'origin/HEAD']).trim();
+    } catch (error) {
+        return 'main';
+    }
+}
+
+// GitHub evaluates the CODEOWNERS file of the base branch
+function readCodeowners(repo, ref) {
+    for (const location of CODEOWNERS_LOCATIONS) {
+        try {
+            return { path: location, content: git(repo, ['show', `${ref}:${location}`]) };
+        } catch (error) {
+            // Not at this location
+        }
+    }
+    return null;
+}
+
+function parsePositiveInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`--${name} must be a positive integer`);
+    }
+    return number;
+}
+
+function parseOptions(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                repo: { type: 'string', default: process.cwd() },
+                base: { type: 'string' },
+                head: { type: 'string', default: 'HEAD' },
+                author: { type: 'string' },
+                ignore: { type: 'string', default: '' },
+                'max-size': { type: 'string', default: String(DEFAULT_SETTINGS.maxCombinationSize) },
+                limit: { type: 'string', default: String(DEFAULT_SETTINGS.maxCombinationsToShow) },
+                format: { type: 'string', default: 'text' },
+                json: { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const format = values.json ? 'json' : values.format;
+    if (format !== 'text' && !REPORT_FORMATS[format]) {
+        throw new UsageError(`Unknown format ${format}`);
+    }
+
+    // Logins are written with @ everywhere in the analysis
+    const withAt = login => login.includes('@') ? login : `@${login}`;
+    return {
+        repo: values.repo,
+        base: values.base || getDefaultBase(values.repo),
+        head: values.head,
+        author: values.author ? withAt(values.author) : null,
+        ignoredOwners: values.ignore.split(',').map(owner => owner.trim()).filter(Boolean).map(withAt),
+        maxCombinationSize: parsePositiveInteger(values['max-size'], 'max-size'),
+        maxCombinationsToShow: parsePositiveInteger(values.limit, 'limit'),
+        format,
+        help: values.help
+    };
+}
+
+async function analyzeRepository(options) {
+    const files = git(options.repo, ['diff', '--name-only', `${options.base}...${options.head}`])
+        .split('\n')
+        .filter(Boolean);
+
+    const codeowners = readCodeowners(options.repo, options.base);
+    if (!codeowners) {
+        throw new Error(`No CODEOWNERS file found on ${options.base}`);
+    }
+
+    const analysis = new OwnershipAnalysis();
+    const { errors } = analysis.setCodeowners(codeowners.content);
+
+    const fileMatches = [];
+    let result = null;
+    for await (const message of analysis.analyze({
+        files,
+        prAuthor: options.author,
+        ignoredOwners: options.ignoredOwners,
+        maxCombinationSize: options.maxCombinationSize,
+        maxCombinationsToShow: options.maxCombinationsToShow
+    })) {
+        if (message.type === 'files') {
+            fileMatches.push(...message.files.map(([file, owners, rule]) => ({ path: file, owners, rule })));
+        } else if (message.type === 'result') {
+            result = message;
+        }
+    }
+
+    // Offline there are no reviews, so nobody has approved yet
+    const report = createOwnershipReport({
+        codeowners: { path: codeowners.path, ref: options.base },
+        fullCoverageOwners: result.fullCoverageOwners,
+        combinedSets: result.combinedSets,
+        remaining: result.remaining,
+        files: fileMatches
+    });
+    return { report, errors, hasMoreCombinedSets: result.hasMoreCombinedSets };
+}
+
+function formatText(report, hasMoreCombinedSets) {
+    const lines = [
+        `CODEOWNERS: ${report.codeowners.path} @ ${report.codeowners.ref}`,
+        `Changed files: ${report.summary.files} (${report.summary.ownedFiles} with owners)`
+    ];
+    if (report.summary.files === 0) {
+        return lines.join('\n');
+    }
+
+    lines.push('', 'Full coverage owners:');
+    lines.push(...(report.fullCoverageOwners.length
+        ? report.fullCoverageOwners.map(({ owner }) => `  ${owner}`)
+        : ['  none']));
+
+    lines.push('', 'Combined coverage sets:');
+    lines.push(...(report.combinedSets.length
+        ? report.combinedSets.map(set => `  ${set.map(({ owner }) => owner).join(' + ')}`)
+        : ['  none']));
+    if (hasMoreCombinedSets) {
+        lines.push('  ... more with --limit');
+    }
+
+    if (report.unownedFiles.length > 0) {
+        lines.push('', 'Files without owners:', ...report.unownedFiles.map(file => `  ${file}`));
+    }
+    return lines.join('\n');
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    try {
+        const { report, errors, hasMoreCombinedSets } = await analyzeRepository(options);
+        errors.forEach(({ lineNumber, pattern, message }) => {
+            console.error(`Skipping ${report.codeowners.path} line ${lineNumber}, invalid pattern ${pattern}: ${message}`);
+        });
+        if (options.format === 'text') {
+            console.log(formatText(report, hasMoreCombinedSets));
+        } else {
+            process.stdout.write(REPORT_FORMATS[options.format].format(report));
+        }
+        return 0;
+    } catch (error) {
+        console.error(`Error: ${(error.stderr || error.message).trim()}`);
+        return 1;
+    }
+}
+
+main().then(code => {
+    process.exitCode = code;
+});
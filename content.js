@@ -1,20 +1,94 @@
 class CodeOwnersAnalyzer {
     constructor() {
         console.log('CodeOwnersAnalyzer constructor called');
-        this.codeownersMap = new Map();
+        // Owners named in CODEOWNERS; the rules themselves live in the analysis worker
+        this.codeownersOwners = [];
         this.changedFiles = new Set();
         this.approvedReviewers = new Set();
+        this.reviewStates = new Map();
+        this.filesChangedSinceApproval = new Map();
         this._fileOwnersCache = {};
-        this._parsedPatterns = null;
-        this.MAX_COMBINATION_SIZE = 5; // limit the number of owners in a combination
-        this.MAX_COMBINATIONS_TO_SHOW = 15; // limit the total number of combinations shown in UI
+        this.MAX_COMBINATION_SIZE = DEFAULT_SETTINGS.maxCombinationSize; // limit the number of owners in a combination
+        this.MAX_COMBINATIONS_TO_SHOW = DEFAULT_SETTINGS.maxCombinationsToShow; // limit the total number of combinations shown in UI
+        this.MAX_IMPACT_PATHS = 100; // files listed in the CODEOWNERS impact section
 
-        // Add debug mode flag - set to false in production
-        this.DEBUG_MODE = true;
+        // github.com or a GitHub Enterprise Server host; every URL is built from it
+        this.githubOrigin = window.location.origin;
+
+        // Locations GitHub checks for a CODEOWNERS file, in order of precedence
+        this.CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+        this.codeownersSource = null;
+
+        // Lint findings of the CODEOWNERS file, see checkCodeownersHealth
+        this.codeownersHealth = null;
+        // Effect of this pull request's CODEOWNERS edit, see checkCodeownersImpact
+        this.codeownersImpact = null;
+        // ref -> promise of the repository's file paths at that ref (null if unavailable)
+        this.repositoryFiles = new Map();
+
+        // Settings stored by the options page (see settings.js)
+        this.settings = { ...DEFAULT_SETTINGS, teamMapping: {} };
+
+        // Resolved members of @org/team owners
+        this.teamMembers = new Map();
+
+        // Email owners mapped to @logins (null when unresolved)
+        this.emailLogins = new Map();
+
+        // Owners excluded from the analysis
+        this.ignoredOwners = new Set();
+
+        // '@login' -> { busy, statusMessage, openReviewRequests }, fetched once per page
+        this.reviewerAvailability = new Map();
+        // Weights of the availability score (lower is better): being out of office
+        // outweighs everything, a busy status outweighs a long review queue
+        this.AVAILABILITY_WEIGHTS = { outOfOffice: 1000, busy: 100, openReviewRequest: 1 };
+
+        // API client (only with a token) and the source of pull request data
+        this.apiClient = null;
+        this.dataProvider = null;
+
+        // Debug logging, enabled from the options page
+        this.DEBUG_MODE = DEFAULT_SETTINGS.debugMode;
+
+        // Set once the analyzer is torn down, e.g. after a settings change
+        this.isDestroyed = false;
+        this.fileObserver = null;
+
+        // Keeps the owner badges on diff file headers while GitHub re-renders them
+        this.badgeObserver = null;
+        this.badgeUpdateScheduled = false;
 
         // Track files with and without owners
         this.filesWithOwners = new Set();
         this.filesWithoutOwners = new Set();
+
+        // Combined sets are found after the rest of the analysis and in batches
+        this.isSearchingCombinedSets = false;
+        this.hasMoreCombinedSets = false;
+
+        // Results shown last, exported from the header menu
+        this.lastResults = null;
+
+        // Answers the open review request confirmation, if any (see confirmReviewRequest)
+        this.pendingReviewConfirmation = null;
+
+        // Review requirements of the base branch, read once per page (see data-providers.js)
+        this.mergeRequirements = null;
+        this.mergeRequirementsRequest = null;
+
+        // CODEOWNERS files and analysis results kept across visits (analysis-cache.js)
+        this.cache = null;
+        this.isShowingCachedResults = false;
+
+        // Runs the analysis core (ownership-core.js) off the UI thread
+        this.analysis = new AnalysisClient({ log: (...args) => this.log(...args) });
+
+        // CODEOWNERS rule that decided each file's owners (null when none matched)
+        this.fileMatches = new Map();
+
+        // How the Files section is shown; kept across re-analysis
+        this.fileListView = { filter: 'all', groupByDirectory: false, expanded: false };
     }
 
     // Logger function to control verbosity
@@ -34,6 +108,27 @@ class CodeOwnersAnalyzer {
         }
 
         try {
+            // Settings decide whether the analyzer runs here and whether PR data
+            // comes from the API or the page
+            await this.loadSettings();
+
+            const [, org, repo] = window.location.pathname.split('/');
+            if (!isRepositoryEnabled(this.settings, window.location.host, org, repo)) {
+                this.log(`Analyzer is not enabled for ${window.location.host}/${org}/${repo}, not showing UI`);
+                return;
+            }
+
+            if (!isToggledOn(this.settings.toggleState, window.location.host, org, repo)) {
+                this.log('Analyzer is switched off from the toolbar, not showing UI');
+                return;
+            }
+
+            this.dataProvider = createDataProvider(this);
+            this.cache = new AnalysisCache({
+                repositoryKey: getRepositoryKey(window.location.host, org, repo),
+                log: (...args) => this.log(...args)
+            });
+
             // Cache DOM elements that are used multiple times
             const headerMeta = document.querySelector('.gh-header-meta');
             const headerTitle = document.querySelector('.gh-header-title');
@@ -56,11 +151,11 @@ class CodeOwnersAnalyzer {
             this.log('PR UI elements loaded, checking state...');
 
             // Get PR author early
-            this.prAuthor = await this.getPRAuthor();
+            this.prAuthor = await this.dataProvider.getPRAuthor();
             this.log('PR author:', this.prAuthor);
 
             // Get PR state from multiple sources
-            const prState = await this.getPRState();
+            const prState = await this.dataProvider.getPRState();
             this.log('Detected PR state:', prState);
 
             // Don't show UI for merged or closed PRs
@@ -76,6 +171,9 @@ class CodeOwnersAnalyzer {
 
             // Show UI for draft, open, or unknown state (assume open if we can't determine)
             if (prState.isDraft || prState.isOpen || prState.state === 'unknown') {
+                // Switched off or navigated away while waiting for the page
+                if (this.isDestroyed) return;
+
                 this.log('PR is draft, open, or state unknown - proceeding with UI creation');
 
                 // Create UI immediately with loading state
@@ -83,11 +181,17 @@ class CodeOwnersAnalyzer {
                 const contentArea = document.getElementById('code-owners-content');
                 this.showLoading(contentArea);
 
+                // Results of an earlier visit to the same commit show until the new ones are ready
+                await this.showCachedResults();
+
                 // Fetch CODEOWNERS first
                 await this.fetchCodeowners();
 
-                // Wait for the page to be fully loaded
-                if (document.readyState === 'complete') {
+                // Wait for the page to be fully loaded, unless the data provider
+                // returns the full file list at once (GitHub API)
+                if (!this.dataProvider.watchesDom) {
+                    await this.updateChangedFiles();
+                } else if (document.readyState === 'complete') {
                     this.observeFileChanges();
                 } else {
                     await new Promise(resolve => {
@@ -163,38 +267,737 @@ class CodeOwnersAnalyzer {
         });
     }
 
+    async loadSettings() {
+        try {
+            this.settings = await loadExtensionSettings();
+        } catch (error) {
+            console.error('Failed to load extension settings:', error);
+        }
+
+        const { settings } = this;
+        this.MAX_COMBINATION_SIZE = settings.maxCombinationSize;
+        this.MAX_COMBINATIONS_TO_SHOW = settings.maxCombinationsToShow;
+        this.DEBUG_MODE = settings.debugMode;
+        this.ignoredOwners = new Set(settings.ignoredOwners);
+        this.apiClient = settings.githubToken
+            ? new GitHubApiClient({
+                baseUrl: settings.apiBaseUrl || getDefaultApiBaseUrl(this.githubOrigin),
+                token: settings.githubToken
+            })
+            : null;
+
+        this.log('Loaded settings:', {
+            maxCombinationSize: settings.maxCombinationSize,
+            maxCombinationsToShow: settings.maxCombinationsToShow,
+            hasToken: !!settings.githubToken,
+            ignoredOwners: settings.ignoredOwners,
+            emailAliases: Object.keys(settings.emailAliases).length,
+            mappedTeams: Object.keys(settings.teamMapping).length
+        });
+    }
+
+    // Stop observing the page, ignore pending async work and remove the panel
+    destroy() {
+        this.isDestroyed = true;
+        if (this.fileObserver) {
+            this.fileObserver.disconnect();
+            this.fileObserver = null;
+        }
+        if (this.badgeObserver) {
+            this.badgeObserver.disconnect();
+            this.badgeObserver = null;
+        }
+        this.analysis.disconnect();
+        removeFileBadges();
+        removeUI();
+    }
+
     async fetchCodeowners() {
         this.log('Fetching CODEOWNERS file...');
+        this.codeownersSource = null;
         try {
-            // Get the current repository from the URL
-            const pathParts = window.location.pathname.split('/');
-            const org = pathParts[1];  // mceSystems
-            const repo = pathParts[2];  // mce
+            // GitHub evaluates the CODEOWNERS file of the PR's base branch.
+            // HEAD resolves to the default branch if the base ref can't be detected.
+            const baseRef = await this.dataProvider.getBaseRef();
+            const ref = baseRef || 'HEAD';
+            this.log('Using base ref:', ref);
+
+            // A cached file is used right away and checked for changes in the background
+            const cached = await this.cache.get(`codeowners:${ref}`);
+            if (cached) {
+                this.log('Using cached CODEOWNERS:', cached.path);
+                this.codeownersSource = { path: cached.path, ref: baseRef || 'default branch', content: cached.content };
+                await this.parseCodeowners(cached.content);
+                this.revalidateCodeowners(ref, cached);
+                return;
+            }
 
-            // Try to get the content from the current page
-            const codeownersContent = await this.extractCodeOwnersFromPage();
-            if (codeownersContent) {
+            for (const path of this.CODEOWNERS_LOCATIONS) {
+                const file = await this.dataProvider.getFile(ref, path);
+                if (file) {
+                    this.log('Found CODEOWNERS content:', file.content.substring(0, 200));
+                    this.codeownersSource = { path, ref: baseRef || 'default branch', content: file.content };
+                    await this.parseCodeowners(file.content);
+                    this.cache.set(`codeowners:${ref}`, { path, content: file.content, etag: file.etag });
+                    return;
+                }
+            }
+
+            // If that fails, try to get the content from the current page
+            const pageCodeowners = await this.extractCodeOwnersFromPage();
+            if (pageCodeowners) {
                 this.log('Found CODEOWNERS content in page');
-                this.parseCodeowners(codeownersContent);
+                this.codeownersSource = { path: pageCodeowners.path, ref: 'this pull request', content: pageCodeowners.content };
+                await this.parseCodeowners(pageCodeowners.content);
                 return;
             }
 
-            // If that fails, try to get it from the repository directly
-            const codeownersUrl = `https://github.com/${org}/${repo}/raw/develop/.github/CODEOWNERS`;
-            this.log('Trying to fetch from:', codeownersUrl);
+            throw new Error(`Could not find CODEOWNERS on ${ref}`);
+        } catch (error) {
+            console.error('Failed to fetch CODEOWNERS:', error);
+        }
+    }
 
-            const response = await fetch(codeownersUrl);
-            if (response.ok) {
-                const content = await response.text();
-                this.log('Found CODEOWNERS content:', content.substring(0, 200));
-                this.parseCodeowners(content);
+    // Conditional request for a cached CODEOWNERS file; when it changed (or moved),
+    // the analysis runs again with the current file
+    async revalidateCodeowners(ref, cached) {
+        try {
+            const file = await this.dataProvider.getFile(ref, cached.path, cached.etag);
+            if (this.isDestroyed) return;
+            if (file && (file.notModified || file.content === cached.content)) {
+                this.log('Cached CODEOWNERS is up to date');
                 return;
             }
 
-            throw new Error('Could not find CODEOWNERS content');
+            this.log('Cached CODEOWNERS changed, analyzing again');
+            await this.cache.delete(`codeowners:${ref}`);
+            await this.fetchCodeowners();
+            this.codeownersHealth = null;
+            this.codeownersImpact = null;
+            if (!this.isDestroyed && this.changedFiles.size > 0) {
+                this.updateUI();
+            }
         } catch (error) {
-            console.error('Failed to fetch CODEOWNERS:', error);
+            console.error('Failed to revalidate cached CODEOWNERS:', error);
+        }
+    }
+
+    // Analysis results are cached per head commit, so they are only reused while
+    // the changes are the same. null with page scraping, which can't tell the head commit.
+    async getAnalysisCacheName() {
+        const pullNumber = window.location.pathname.match(/\/pull\/(\d+)/)?.[1];
+        const headSha = await this.dataProvider.getHeadSha();
+        return pullNumber && headSha ? `analysis:${pullNumber}@${headSha}` : null;
+    }
+
+    // Settings that change the results; a cached analysis with other settings is ignored
+    getAnalysisOptions() {
+        return {
+            maxCombinationSize: this.MAX_COMBINATION_SIZE,
+            maxCombinationsToShow: this.MAX_COMBINATIONS_TO_SHOW,
+            ignoredOwners: Array.from(this.ignoredOwners).sort(),
+            rankByAvailability: !!this.settings.rankByAvailability
+        };
+    }
+
+    // Everything showResults needs, as plain data for chrome.storage
+    async saveCachedResults({ fullCoverageOwners, combinedSets, remaining, fileStats }) {
+        const name = await this.getAnalysisCacheName();
+        if (!name || this.isDestroyed) return;
+
+        await this.cache.set(name, {
+            options: this.getAnalysisOptions(),
+            codeownersSource: this.codeownersSource && { path: this.codeownersSource.path, ref: this.codeownersSource.ref },
+            prAuthor: this.prAuthor,
+            files: Array.from(this.changedFiles, file => [file, Array.from(this.getFileOwners(file)), this.getFileMatch(file)]),
+            reviewStates: Array.from(this.reviewStates),
+            filesChangedSinceApproval: this.filesChangedSinceApproval
+                && Array.from(this.filesChangedSinceApproval, ([login, files]) => [login, files && Array.from(files)]),
+            teamMembers: Array.from(this.teamMembers, ([team, members]) => [team, Array.from(members)]),
+            emailLogins: Array.from(this.emailLogins),
+            reviewerAvailability: Array.from(this.reviewerAvailability),
+            mergeRequirements: this.mergeRequirements,
+            results: { fullCoverageOwners, combinedSets, remaining, fileStats }
+        });
+        this.log('Cached the analysis as', name);
+    }
+
+    async showCachedResults() {
+        const name = await this.getAnalysisCacheName();
+        const cached = name && await this.cache.get(name);
+        if (!cached || this.isDestroyed) return;
+        if (JSON.stringify(cached.options) !== JSON.stringify(this.getAnalysisOptions())) {
+            this.log('Cached analysis used other settings, not showing it');
+            return;
+        }
+        this.log('Showing cached analysis', name);
+
+        this.codeownersSource = cached.codeownersSource;
+        this.prAuthor = cached.prAuthor;
+        this.changedFiles = new Set(cached.files.map(([file]) => file));
+        this._fileOwnersCache = {};
+        this.fileMatches = new Map();
+        this.filesWithOwners = new Set();
+        this.filesWithoutOwners = new Set();
+        cached.files.forEach(([file, owners, rule]) => {
+            this._fileOwnersCache[file] = new Set(owners);
+            this.fileMatches.set(file, rule);
+            (owners.length > 0 ? this.filesWithOwners : this.filesWithoutOwners).add(file);
+        });
+        this.reviewStates = new Map(cached.reviewStates);
+        this.approvedReviewers = new Set(cached.reviewStates
+            .filter(([, state]) => state === REVIEW_STATES.APPROVED)
+            .map(([reviewer]) => reviewer));
+        this.filesChangedSinceApproval = cached.filesChangedSinceApproval
+            && new Map(cached.filesChangedSinceApproval.map(([login, files]) => [login, files && new Set(files)]));
+        this.teamMembers = new Map(cached.teamMembers.map(([team, members]) => [team, new Set(members)]));
+        this.emailLogins = new Map(cached.emailLogins);
+        this.reviewerAvailability = new Map(cached.reviewerAvailability);
+        this.mergeRequirements = cached.mergeRequirements;
+
+        // The analysis worker doesn't know these results, so more sets can't be searched
+        this.isSearchingCombinedSets = false;
+        this.hasMoreCombinedSets = false;
+        this.isShowingCachedResults = true;
+
+        const { fullCoverageOwners, combinedSets, remaining, fileStats } = cached.results;
+        this.showResults(fullCoverageOwners, combinedSets, this.approvedReviewers, fileStats, remaining);
+        this.updateFileBadges();
+
+        const statusText = document.getElementById('status-text');
+        if (statusText) {
+            statusText.textContent = `${statusText.textContent} · cached, updating…`;
+        }
+    }
+
+    // Drops this pull request's cached analysis and the CODEOWNERS file it used,
+    // and analyzes from scratch. Other pull requests keep their cached results.
+    async refreshAnalysis() {
+        try {
+            const [name, baseRef] = await Promise.all([this.getAnalysisCacheName(), this.dataProvider.getBaseRef()]);
+            if (name) await this.cache.delete(name);
+            await this.cache.delete(`codeowners:${baseRef || 'HEAD'}`);
+        } catch (error) {
+            console.error('Failed to drop cached analysis:', error);
+        }
+        initializeAnalyzer();
+    }
+
+    // Raw content of a file of the current repository at ref, or null if it doesn't exist
+    async fetchRepositoryFile(ref, path) {
+        const [, org, repo] = window.location.pathname.split('/');
+        const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+        const url = `${this.githubOrigin}/${org}/${repo}/raw/${encodedRef}/${path}`;
+        this.log('Trying to fetch from:', url);
+
+        const response = await fetch(url);
+        return response.ok ? response.text() : null;
+    }
+
+    // The pull request's head commit; refs/pull/N/head also works for raw files
+    async getHeadRef() {
+        const pullNumber = window.location.pathname.match(/\/pull\/(\d+)/)?.[1];
+        return (await this.dataProvider.getHeadSha()) || `refs/pull/${pullNumber}/head`;
+    }
+
+    getRepositoryFiles(ref) {
+        if (!this.repositoryFiles.has(ref)) {
+            this.repositoryFiles.set(ref, this.dataProvider.getRepositoryFiles(ref));
+        }
+        return this.repositoryFiles.get(ref);
+    }
+
+    // Lints the CODEOWNERS file the analysis uses, or this pull request's version
+    // when the pull request edits one. Runs again only when that choice changes.
+    async checkCodeownersHealth() {
+        const editedPath = this.CODEOWNERS_LOCATIONS.find(path => this.changedFiles.has(path)) || null;
+        const path = editedPath || this.codeownersSource?.path || null;
+        if (this.codeownersHealth && this.codeownersHealth.path === path && this.codeownersHealth.editedPath === editedPath) {
+            return;
+        }
+
+        const health = { path, editedPath, ref: null, findings: null, checkedFiles: false, error: null, expanded: !!editedPath };
+        this.codeownersHealth = health;
+        if (!path) {
+            this.renderCodeownersHealth();
+            return;
+        }
+
+        try {
+            let content;
+            if (editedPath) {
+                health.ref = await this.getHeadRef();
+                content = (await this.dataProvider.getFile(health.ref, editedPath))?.content ?? null;
+                if (content === null) {
+                    throw new Error(`${editedPath} was deleted or couldn't be loaded`);
+                }
+            } else {
+                health.ref = (await this.dataProvider.getBaseRef()) || 'HEAD';
+                content = this.codeownersSource.content;
+            }
+            this.renderCodeownersHealth();
+
+            const files = await this.getRepositoryFiles(health.ref);
+            const result = await this.analysis.lint(content, files);
+            if (!result) return;
+
+            health.findings = result.findings;
+            health.checkedFiles = !!files;
+            this.log('CODEOWNERS lint findings:', result.findings);
+        } catch (error) {
+            console.error('Failed to lint CODEOWNERS:', error);
+            health.error = error.message;
+        }
+
+        // Superseded or torn down while linting
+        if (this.codeownersHealth === health && !this.isDestroyed) {
+            this.renderCodeownersHealth();
+        }
+    }
+
+    // Fills the CODEOWNERS health section, if the panel shows results
+    renderCodeownersHealth() {
+        const list = document.getElementById('codeowners-health-list');
+        const counter = document.getElementById('codeowners-health-count');
+        const title = document.getElementById('codeowners-health-title');
+        const health = this.codeownersHealth;
+        if (!list || !health) return;
+
+        // Open by default when the pull request edits CODEOWNERS
+        list.classList.toggle('collapsed', !health.expanded);
+        const icon = document.querySelector('[data-target="codeowners-health-list"] svg');
+        icon.style.transform = `rotate(${health.expanded ? 0 : -90}deg)`;
+        title.textContent = health.editedPath ? 'CODEOWNERS health (edited in this PR)' : 'CODEOWNERS health';
+
+        const findings = health.findings || [];
+        const errorCount = findings.filter(finding => finding.severity === 'error').length;
+        counter.hidden = findings.length === 0;
+        counter.textContent = findings.length;
+        counter.classList.toggle('health-counter-error', errorCount > 0);
+        counter.title = `${errorCount} error${errorCount === 1 ? '' : 's'}, ${findings.length - errorCount} warning${findings.length - errorCount === 1 ? '' : 's'}`;
+
+        if (!health.path) {
+            list.innerHTML = '<li class="color-fg-muted">No CODEOWNERS file found</li>';
+            return;
+        }
+
+        const [, org, repo] = window.location.pathname.split('/');
+        const encodedRef = (health.ref || 'HEAD').split('/').map(encodeURIComponent).join('/');
+        const fileUrl = `${this.githubOrigin}/${org}/${repo}/blob/${encodedRef}/${health.path}`;
+        const source = `
+            <li class="color-fg-muted f6">
+                <a href="${escapeHtml(fileUrl)}" target="_blank">${escapeHtml(health.path)}</a>
+                @ ${health.editedPath ? 'this pull request' : escapeHtml(this.codeownersSource.ref)}
+            </li>`;
+
+        if (health.error) {
+            list.innerHTML = source + `<li class="color-fg-danger">Could not check CODEOWNERS: ${escapeHtml(health.error)}</li>`;
+            return;
+        }
+        if (!health.findings) {
+            list.innerHTML = source + '<li class="color-fg-muted">Checking...</li>';
+            return;
+        }
+
+        const filesNote = health.checkedFiles
+            ? ''
+            : '<li class="color-fg-muted f6">Patterns were not checked against the repository\'s files, which needs a GitHub API token</li>';
+        const findingItems = findings.length
+            ? findings.map(({ lineNumber, severity, message }) => `
+                <li class="health-finding">
+                    <span class="${severity === 'error' ? 'color-fg-danger' : 'color-fg-attention'}" title="${severity === 'error' ? 'Error' : 'Warning'}">${severity === 'error' ? '✗' : '⚠'}</span>
+                    <a href="${escapeHtml(fileUrl)}#L${lineNumber}" target="_blank">Line ${lineNumber}</a>
+                    <span>${escapeHtml(message)}</span>
+                </li>`).join('')
+            : '<li class="color-fg-muted">No problems found</li>';
+
+        list.innerHTML = source + findingItems + filesNote;
+    }
+
+    // Previews what this pull request's CODEOWNERS edit does: who owns each
+    // repository file under the base and the head version
+    async checkCodeownersImpact() {
+        const editedPath = this.CODEOWNERS_LOCATIONS.find(path => this.changedFiles.has(path)) || null;
+        if ((this.codeownersImpact?.editedPath || null) === editedPath) return;
+
+        if (!editedPath) {
+            this.codeownersImpact = null;
+            this.renderCodeownersImpact();
+            return;
+        }
+
+        const impact = {
+            editedPath,
+            basePath: this.codeownersSource?.path || null,
+            headPath: null,
+            result: null,
+            checkedRepository: false,
+            error: null,
+            expanded: true
+        };
+        this.codeownersImpact = impact;
+        this.renderCodeownersImpact();
+
+        try {
+            const baseRef = (await this.dataProvider.getBaseRef()) || 'HEAD';
+            const headRef = await this.getHeadRef();
+
+            // GitHub uses the first CODEOWNERS location that exists, which the edit may change
+            let headContent = null;
+            for (const path of this.CODEOWNERS_LOCATIONS) {
+                headContent = (await this.dataProvider.getFile(headRef, path))?.content ?? null;
+                if (headContent !== null) {
+                    impact.headPath = path;
+                    break;
+                }
+            }
+
+            // Without the repository's file list only the changed files can be compared
+            const [baseFiles, headFiles] = await Promise.all([this.getRepositoryFiles(baseRef), this.getRepositoryFiles(headRef)]);
+            impact.checkedRepository = !!(baseFiles && headFiles);
+            const files = impact.checkedRepository
+                ? Array.from(new Set([...baseFiles, ...headFiles]))
+                : Array.from(this.changedFiles);
+
+            const result = await this.analysis.compareCodeowners(this.codeownersSource?.content || '', headContent || '', files);
+            if (!result) return;
+
+            impact.result = result;
+            this.log('CODEOWNERS impact:', result);
+        } catch (error) {
+            console.error('Failed to compare CODEOWNERS versions:', error);
+            impact.error = error.message;
+        }
+
+        if (this.codeownersImpact === impact && !this.isDestroyed) {
+            this.renderCodeownersImpact();
+        }
+    }
+
+    // Fills the CODEOWNERS impact section, which only shows when the pull request edits CODEOWNERS
+    renderCodeownersImpact() {
+        const section = document.getElementById('codeowners-impact-section');
+        const list = document.getElementById('codeowners-impact-list');
+        const impact = this.codeownersImpact;
+        if (!section) return;
+
+        section.hidden = !impact;
+        if (!impact) return;
+
+        list.classList.toggle('collapsed', !impact.expanded);
+        const icon = document.querySelector('[data-target="codeowners-impact-list"] svg');
+        icon.style.transform = `rotate(${impact.expanded ? 0 : -90}deg)`;
+
+        if (impact.error) {
+            list.innerHTML = `<li class="color-fg-danger">Could not compare CODEOWNERS versions: ${escapeHtml(impact.error)}</li>`;
+            return;
+        }
+        if (!impact.result) {
+            list.innerHTML = '<li class="color-fg-muted">Comparing...</li>';
+            return;
+        }
+
+        const { paths, owners, fileCount } = impact.result;
+        const describeOwners = fileOwners => fileOwners.length ? escapeHtml(fileOwners.join(' ')) : 'no owners';
+        const versions = `${escapeHtml(impact.basePath || 'no CODEOWNERS')} → ${escapeHtml(impact.headPath || 'no CODEOWNERS')}`;
+        const summary = `
+            <li class="color-fg-muted f6">
+                ${paths.length} of ${fileCount} ${impact.checkedRepository ? 'repository' : 'changed'} file${fileCount === 1 ? '' : 's'} change owners (${versions})
+            </li>`;
+        const filesNote = impact.checkedRepository
+            ? ''
+            : '<li class="color-fg-muted f6">Only the changed files were compared. Comparing every repository file needs a GitHub API token</li>';
+
+        if (paths.length === 0) {
+            list.innerHTML = summary + '<li class="color-fg-muted">No file changes owners</li>' + filesNote;
+            return;
+        }
+
+        const ownerItems = owners.map(({ owner, gained, lost }) => `
+            <li class="impact-owner" title="Gains ${gained} file${gained === 1 ? '' : 's'}, loses ${lost} file${lost === 1 ? '' : 's'}">
+                <span>${escapeHtml(owner)}</span>
+                ${gained > 0 ? `<span class="color-fg-success">+${gained}</span>` : ''}
+                ${lost > 0 ? `<span class="color-fg-danger">−${lost}</span>` : ''}
+            </li>`).join('');
+
+        const pathItems = paths.slice(0, this.MAX_IMPACT_PATHS).map(({ path, before, after }) => {
+            const change = before.length === 0 ? 'gains owners' : after.length === 0 ? 'loses all owners' : 'changes owners';
+            return `
+                <li class="impact-path" title="${escapeHtml(path)} ${change}">
+                    <span class="impact-path-name">${escapeHtml(path)}</span>
+                    <span class="color-fg-muted">${describeOwners(before)} → ${describeOwners(after)}</span>
+                </li>`;
+        }).join('');
+        const morePaths = paths.length > this.MAX_IMPACT_PATHS
+            ? `<li class="color-fg-muted">and ${paths.length - this.MAX_IMPACT_PATHS} more files</li>`
+            : '';
+
+        list.innerHTML = summary +
+            '<li class="impact-heading">Owners</li>' + ownerItems +
+            '<li class="impact-heading">Files</li>' + pathItems + morePaths +
+            filesNote;
+    }
+
+    scrapePRBaseRef() {
+        // Try embedded data first (new layout)
+        const scriptElement = document.querySelector('script[data-target="react-app.embeddedData"]');
+        if (scriptElement) {
+            try {
+                const data = JSON.parse(scriptElement.textContent);
+                const pullRequest = data.payload?.pullRequest;
+                const baseRef = pullRequest?.baseRefName || pullRequest?.baseBranch || pullRequest?.baseRef?.name;
+                if (baseRef) {
+                    this.log('Found base ref via embedded data:', baseRef);
+                    return baseRef;
+                }
+            } catch (parseError) {
+                this.log('Could not parse embedded data for base ref');
+            }
+        }
+
+        // Old layout: <span class="commit-ref base-ref" title="org/repo:branch">
+        const baseRefElement = document.querySelector('.gh-header-meta .base-ref') ||
+            document.querySelector('.base-ref');
+        if (baseRefElement) {
+            const title = baseRefElement.getAttribute('title');
+            const baseRef = title && title.includes(':')
+                ? title.substring(title.indexOf(':') + 1)
+                : baseRefElement.textContent.trim().replace(/^[^:]+:/, '');
+            if (baseRef) {
+                this.log('Found base ref via old layout:', baseRef);
+                return baseRef;
+            }
+        }
+
+        // New layout: the first branch link in the header summary is the base branch
+        const branchLink = document.querySelector('.PullRequestHeaderSummary-module__summaryContainer--ah8Ua a[href*="/tree/"]') ||
+            document.querySelector('.prc-PageHeader-Description-kFg8r a[href*="/tree/"]');
+        if (branchLink) {
+            const match = branchLink.getAttribute('href').match(/\/tree\/(.+)$/);
+            if (match) {
+                const baseRef = decodeURIComponent(match[1]);
+                this.log('Found base ref via new layout branch link:', baseRef);
+                return baseRef;
+            }
+        }
+
+        this.log('Could not determine base ref');
+        return null;
+    }
+
+    // The results shown last as an ownership report (see ownership-report.js)
+    createReport() {
+        const [, org, repo] = window.location.pathname.split('/');
+        const pullNumber = window.location.pathname.match(/\/pull\/(\d+)/)?.[1];
+        const { fullCoverageOwners, combinedSets, remaining } = this.lastResults;
+
+        return createOwnershipReport({
+            repository: `${org}/${repo}`,
+            pullRequest: pullNumber ? Number(pullNumber) : null,
+            url: pullNumber ? `${this.githubOrigin}/${org}/${repo}/pull/${pullNumber}` : null,
+            codeowners: this.codeownersSource
+                ? { path: this.codeownersSource.path, ref: this.codeownersSource.ref }
+                : null,
+            fullCoverageOwners,
+            combinedSets,
+            remaining,
+            files: Array.from(this.changedFiles).sort().map(path => ({
+                path,
+                owners: Array.from(this.getFileOwners(path)),
+                rule: this.getFileMatch(path)
+            })),
+            getReviewState: owner => this.getOwnerReviewState(owner)
+        });
+    }
+
+    // Copies the report to the clipboard or downloads it as a file
+    async exportReport(formatName, action) {
+        if (!this.lastResults) return;
+
+        const format = REPORT_FORMATS[formatName];
+        const report = this.createReport();
+        const text = format.format(report);
+        const statusText = document.getElementById('status-text');
+
+        try {
+            if (action === 'copy') {
+                await navigator.clipboard.writeText(text);
+            } else {
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(new Blob([text], { type: format.mimeType }));
+                const name = report.pullRequest ? `${report.repository}-${report.pullRequest}` : report.repository;
+                link.download = `code-owners-${name.replace(/\//g, '-')}.${format.extension}`;
+                link.click();
+                setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            }
+            this.log(`Exported report as ${format.label} (${action})`);
+            if (statusText) {
+                statusText.textContent = action === 'copy'
+                    ? `Copied ${format.label} report to the clipboard`
+                    : `Downloaded ${format.label} report`;
+            }
+        } catch (error) {
+            console.error('Failed to export report:', error);
+            if (statusText) {
+                statusText.textContent = `Could not export report: ${error.message}`;
+            }
+        }
+    }
+
+    // Pass/fail checklist of the base branch's code owner and review requirements
+    // against the current reviews. Empty when the requirements couldn't be read.
+    createMergeChecklist(remaining) {
+        const requirements = this.mergeRequirements;
+        if (!requirements) return '';
+
+        const items = [];
+        const addItem = (status, text, title = '') => items.push({ status, text, title });
+
+        if (requirements.requireCodeOwnerReview) {
+            const count = remaining.remainingFiles.length;
+            if (count === 0) {
+                addItem('pass', 'Code owner review');
+            } else {
+                addItem('fail', `Code owner review: ${count} file${count === 1 ? '' : 's'} without a code owner's approval`,
+                    remaining.remainingFiles.join('\n'));
+            }
+        } else {
+            addItem('neutral', 'Code owner review not required');
+        }
+
+        // Every approval is counted, while GitHub only counts reviewers with write
+        // access, so a met count is only likely to pass
+        const requiredApprovals = requirements.requiredApprovingReviewCount;
+        if (requiredApprovals > 0) {
+            const approvals = this.approvedReviewers.size;
+            addItem(approvals >= requiredApprovals ? 'warning' : 'fail',
+                `${approvals} of ${requiredApprovals} required approval${requiredApprovals === 1 ? '' : 's'}`,
+                ['Approximate: GitHub only counts approvals from reviewers with write access', ...this.approvedReviewers].join('\n'));
+        }
+
+        const requestingChanges = Array.from(this.reviewStates)
+            .filter(([, state]) => state === REVIEW_STATES.CHANGES_REQUESTED)
+            .map(([reviewer]) => reviewer);
+        if (requestingChanges.length > 0) {
+            addItem('fail', `Changes requested by ${requestingChanges.join(', ')}`);
+        }
+
+        if (requirements.dismissStaleReviews) {
+            addItem('neutral', 'New commits dismiss approvals');
+        } else {
+            // Without dismissal GitHub keeps counting approvals of older commits
+            const staleApprovers = Array.from(this.filesChangedSinceApproval || [])
+                .filter(([reviewer, files]) => files && files.size > 0 && this.approvedReviewers.has(reviewer))
+                .map(([reviewer]) => reviewer);
+            if (staleApprovers.length > 0) {
+                addItem('warning', `${staleApprovers.length} approval${staleApprovers.length === 1 ? '' : 's'} predate later commits but still count`,
+                    staleApprovers.join('\n'));
+            }
+        }
+
+        const icons = {
+            pass: '<span class="color-fg-success">✓</span>',
+            fail: '<span class="color-fg-danger">✗</span>',
+            warning: '<span class="color-fg-attention">⚠</span>',
+            neutral: '<span class="color-fg-muted">–</span>'
+        };
+        const passed = items.every(item => item.status !== 'fail');
+        const unreadable = requirements.unreadable.length > 0
+            ? `<li class="color-fg-muted f6" title="Reading classic branch protection needs admin access to the repository">
+                    Could not read the ${requirements.unreadable.join(' or ')} of ${escapeHtml(requirements.branch)}
+                </li>`
+            : '';
+
+        return `
+            <div class="section merge-checklist">
+                <div class="d-flex flex-items-center mb-2">
+                    <button class="btn-octicon mr-2 js-section-toggle" data-target="merge-checklist-list">
+                        <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                            <path fill="currentColor" d="M12.78 5.22a.749.749 0 0 1 0 1.06l-4.25 4.25a.749.749 0 0 1-1.06 0L3.22 6.28a.749.749 0 1 1 1.06-1.06L8 8.939l3.72-3.719a.749.749 0 0 1 1.06 0Z"></path>
+                        </svg>
+                    </button>
+                    <h3 class="h5 mb-0">Merge Requirements</h3>
+                    <span class="Label ml-2 ${passed ? 'Label--success' : 'Label--danger'}">${passed ? 'Met' : 'Not met'}</span>
+                </div>
+                <ul id="merge-checklist-list" class="owners-list">
+                    <li class="color-fg-muted f6">Code owner and review rules of ${escapeHtml(requirements.branch)}</li>
+                    ${items.map(({ status, text, title }) => `
+                        <li class="merge-checklist-item" ${title ? `title="${escapeHtml(title)}"` : ''}>
+                            ${icons[status]}
+                            <span>${escapeHtml(text)}</span>
+                        </li>`).join('')}
+                    ${unreadable}
+                </ul>
+            </div>`;
+    }
+
+    // Opt-in per repository in the options, and needs the API to write comments
+    canPublishSummary() {
+        const [, org, repo] = window.location.pathname.split('/');
+        return !!this.dataProvider?.canWrite && isSummaryCommentEnabled(this.settings, window.location.host, org, repo);
+    }
+
+    // Posts the Markdown report as a pull request comment after a preview. The
+    // hidden marker makes later runs update that comment instead of adding one.
+    async publishSummary() {
+        if (!this.lastResults) return;
+        const statusText = document.getElementById('status-text');
+
+        try {
+            const body = formatSummaryComment(this.createReport());
+            const existingComment = await this.dataProvider.findComment(SUMMARY_COMMENT_MARKER);
+            if (!await this.showSummaryPreview(body, existingComment)) return;
+
+            const comment = await this.dataProvider.saveComment(body, existingComment?.id);
+            this.log('Published summary comment:', comment.url);
+            if (statusText) {
+                statusText.textContent = existingComment ? 'Updated the summary comment' : 'Posted the summary comment';
+            }
+        } catch (error) {
+            console.error('Failed to publish summary comment:', error);
+            if (statusText) {
+                statusText.textContent = `Could not publish summary comment: ${error.message}`;
+            }
+        }
+    }
+
+    // Shows the comment before it is published; resolves with whether to publish it
+    showSummaryPreview(body, existingComment) {
+        return new Promise(resolve => {
+            const dialog = document.createElement('dialog');
+            dialog.className = 'code-owners-dialog color-bg-default color-fg-default border rounded-2';
+            dialog.innerHTML = `
+                <h2 class="h4 mb-2">Publish summary comment</h2>
+                <p class="f6 color-fg-muted mb-2">
+                    ${existingComment
+                        ? `Updates <a href="${escapeHtml(existingComment.url)}" target="_blank">the existing summary comment</a>`
+                        : 'Posts a new comment on this pull request'}:
+                </p>
+                <textarea class="form-control code-owners-preview" readonly></textarea>
+                <div class="d-flex flex-justify-end mt-3">
+                    <button class="btn btn-sm mr-2" value="cancel">Cancel</button>
+                    <button class="btn btn-sm btn-primary" value="publish">${existingComment ? 'Update comment' : 'Post comment'}</button>
+                </div>
+            `;
+            dialog.querySelector('textarea').value = body;
+            dialog.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', () => dialog.close(button.value));
+            });
+            dialog.addEventListener('close', () => {
+                dialog.remove();
+                resolve(dialog.returnValue === 'publish');
+            });
+
+            document.body.appendChild(dialog);
+            dialog.showModal();
+        });
+    }
+
+    describeCodeownersSource() {
+        if (!this.codeownersSource) {
+            return 'no CODEOWNERS found';
         }
+        return `${this.codeownersSource.path} @ ${this.codeownersSource.ref}`;
     }
 
     async extractCodeOwnersFromPage() {
@@ -202,18 +1005,19 @@ class CodeOwnersAnalyzer {
         const fileTree = document.querySelector('.js-diff-progressive-container');
         if (!fileTree) return null;
 
-        // Look for .github/CODEOWNERS file in the tree
+        // Look for a CODEOWNERS file in any of the supported locations
         const fileLinks = Array.from(fileTree.querySelectorAll('.file-info'));
         const codeownersFile = fileLinks.find(link =>
-            link.getAttribute('data-path')?.endsWith('.github/CODEOWNERS')
+            this.CODEOWNERS_LOCATIONS.includes(link.getAttribute('data-path'))
         );
 
         if (codeownersFile) {
             const fileContent = codeownersFile.closest('.file')?.querySelector('.blob-wrapper');
             if (fileContent) {
-                return Array.from(fileContent.querySelectorAll('.blob-code-inner'))
+                const content = Array.from(fileContent.querySelectorAll('.blob-code-inner'))
                     .map(line => line.textContent)
                     .join('\n');
+                return { path: codeownersFile.getAttribute('data-path'), content };
             }
         }
 
@@ -264,98 +1068,33 @@ class CodeOwnersAnalyzer {
         }
     }
 
-    parseCodeowners(content) {
+    // Rules are parsed and kept by the analysis worker; only the owners come back
+    async parseCodeowners(content) {
         this.log('Parsing CODEOWNERS content...');
-        this.codeownersMap.clear();
+        this.codeownersOwners = [];
+        this._fileOwnersCache = {};
 
         if (!content) {
             console.error('No content to parse');
             return;
         }
 
-        // Save full content for use in getFileOwners
-        this._rawCodeowners = content;
-
-        const lines = content.split('\n');
-        for (const line of lines) {
-            if (line.startsWith('#') || !line.trim()) continue;
-
-            const [pattern, ...owners] = line.trim().split(/\s+/);
-            this.log('Processing pattern:', pattern, 'owners:', owners);
-
-            if (!pattern || owners.length === 0) continue;
-
-            try {
-                // Convert GitHub glob pattern to regex for the map approach
-                // Store the original pattern for later use
-                const originalPattern = pattern;
-
-                // Special handling for file extension patterns like **/*.graphql
-                let cleanPattern;
-                const fileExtensionMatch = pattern.match(/\/\*\*\/\*\.([a-zA-Z0-9]+)$/);
-
-                if (fileExtensionMatch) {
-                    // This is a pattern like /path/**/*.graphql
-                    const extension = fileExtensionMatch[1];
-                    const basePath = pattern.substring(0, pattern.indexOf('/**/'));
-
-                    // Create a regex that matches any file with this extension in any subdirectory
-                    cleanPattern = basePath.replace(/[.+?^${}()|[\]\\]/g, '\\$&') // escape special characters
-                        .replace(/^\//, '') // remove leading slash
-                        + '(?:/.*)?\\.' + extension + '$';
-
-                    this.log(`Special extension pattern ${pattern} converted to: ${cleanPattern}`);
-                } else if (pattern.includes('**/')) {
-                    // Handle **/ pattern to match any number of directory levels
-                    cleanPattern = pattern
-                        .replace(/[.+?^${}()|[\]\\]/g, '\\$&') // escape special characters
-                        .replace(/\*\*\//g, '(?:.*/)?') // convert **/ to match any number of directories
-                        .replace(/\*/g, '[^/]*') // convert remaining * to [^/]*
-                        .replace(/^\//, '') // remove leading slash
-                        .replace(/\/$/, ''); // remove trailing slash
-                } else {
-                    cleanPattern = pattern
-                        .replace(/[.+?^${}()|[\]\\]/g, '\\$&') // escape special characters
-                        .replace(/\*\*/g, '.*') // convert ** to .*
-                        .replace(/\*/g, '[^/]*') // convert * to [^/]*
-                        .replace(/^\//, '') // remove leading slash
-                        .replace(/\/$/, ''); // remove trailing slash
-                }
-
-                this.log('Converted pattern:', pattern, 'to regex:', cleanPattern);
-                let regex;
-                
-                try {
-                    regex = new RegExp(`^${cleanPattern}`);
-                } catch (regexError) {
-                    this.log(`Error creating regex for pattern ${pattern}: ${regexError.message}`);
-                    // Fallback to a simpler regex
-                    regex = new RegExp(pattern.replace(/^\//,'').replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
-                }
-                
-                owners.forEach(owner => {
-                    if (!this.codeownersMap.has(owner)) {
-                        this.codeownersMap.set(owner, new Set());
-                    }
-                    // Store the regex and original pattern
-                    const patternObj = { regex, originalPattern };
-                    this.codeownersMap.get(owner).add(patternObj);
-                });
-            } catch (error) {
-                console.error('Failed to create regex for pattern:', pattern, error);
-            }
-        }
-
-        this.log('Finished parsing. Found owners:', Array.from(this.codeownersMap.keys()));
+        const { owners, ruleCount, errors } = await this.analysis.setCodeowners(content);
+        errors.forEach(({ lineNumber, pattern, message }) => {
+            console.error(`Skipping CODEOWNERS line ${lineNumber}, invalid pattern:`, pattern, message);
+        });
 
-        this._parsedPatterns = this.codeownersMap;
-        return this.codeownersMap;
+        this.codeownersOwners = owners;
+        this.log(`Finished parsing ${ruleCount} rules. Found owners:`, owners);
+        return owners;
     }
 
     observeFileChanges() {
         this.log('Setting up file change observer...');
         // Wait for the file list to be available
         const waitForFiles = () => {
+            if (this.isDestroyed) return;
+
             // Try both old and new layout containers
             const fileList = document.querySelector('.js-diff-progressive-container') || 
                              document.querySelector('[data-target="react-app.reactRoot"]') ||
@@ -418,11 +1157,115 @@ class CodeOwnersAnalyzer {
                 childList: true,
                 subtree: true
             });
+            this.fileObserver = observer;
         };
 
         waitForFiles();
     }
 
+    // Header of a file's diff to put the owner badge in (both old and new layouts)
+    getFileHeaderElement(fileElement) {
+        // Old layout
+        const fileInfo = fileElement.querySelector('.file-header .file-info');
+        if (fileInfo) return fileInfo;
+
+        // New layout
+        const fileName = fileElement.querySelector('.DiffFileHeader-module__file-name--mY1O5');
+        if (fileName) return fileName.parentElement;
+
+        return fileElement.querySelector('.DiffFileHeader-module__diff-file-header--TjXyn');
+    }
+
+    // Compact owner badge for a file: owner avatars and whether one of them approved
+    createFileBadge(filePath) {
+        const owners = Array.from(this.getFileOwners(filePath));
+        const badge = document.createElement('span');
+        badge.className = 'code-owners-file-badge d-inline-flex flex-items-center ml-2';
+        badge.dataset.path = filePath;
+
+        if (owners.length === 0) {
+            badge.innerHTML = '<span class="color-fg-muted">No owners</span>';
+            badge.title = 'No code owners for this file';
+            return badge;
+        }
+
+        const approvers = owners.filter(owner => this.isOwnerApproved(owner));
+        const MAX_AVATARS = 3;
+        const avatars = owners.slice(0, MAX_AVATARS).map(owner => {
+            if (this.isEmailOwner(owner)) {
+                return '<span class="file-badge-email color-fg-attention">@</span>';
+            }
+            // Teams show their organization's avatar
+            const account = this.isTeamOwner(owner) ? owner.substring(1).split('/')[0] : owner.substring(1);
+            return `<img src="${this.githubOrigin}/${encodeURIComponent(account)}.png?size=40" alt="${escapeHtml(owner)}" width="16" height="16" class="avatar">`;
+        }).join('');
+        const more = owners.length > MAX_AVATARS
+            ? `<span class="color-fg-muted">+${owners.length - MAX_AVATARS}</span>`
+            : '';
+
+        badge.innerHTML = `
+            <span class="file-badge-avatars">${avatars}</span>
+            ${more}
+            ${this.createReviewStateIcon(approvers.length > 0 ? REVIEW_STATES.APPROVED : REVIEW_STATES.PENDING)}`;
+        badge.title = `Owners: ${owners.join(', ')}\n` + (approvers.length > 0
+            ? `Approved by ${approvers.join(', ')}`
+            : 'Not approved by an owner yet');
+        // The review state icon's own tooltip would hide the summary
+        badge.querySelector('.review-state')?.removeAttribute('title');
+        return badge;
+    }
+
+    // Adds or refreshes the owner badge on every rendered file header. Badges
+    // carry a signature of their content, so unchanged ones are left alone and
+    // re-running this never duplicates them.
+    updateFileBadges() {
+        if (this.isDestroyed || !document.querySelector('.code-owners-panel')) return;
+
+        this.getAllFileElements().forEach(fileElement => {
+            const filePath = this.getFilePathFromElement(fileElement);
+            const header = this.getFileHeaderElement(fileElement);
+            if (!filePath || !header || !this.changedFiles.has(filePath)) return;
+
+            const badge = this.createFileBadge(filePath);
+            const signature = `${badge.title}|${badge.innerHTML}`;
+            const existing = fileElement.querySelectorAll('.code-owners-file-badge');
+            if (existing.length === 1 && existing[0].parentElement === header && existing[0].dataset.signature === signature) {
+                return;
+            }
+
+            existing.forEach(oldBadge => oldBadge.remove());
+            badge.dataset.signature = signature;
+            header.appendChild(badge);
+        });
+    }
+
+    // GitHub loads diffs progressively and React re-renders headers, dropping
+    // the badges. Re-apply them (batched per frame) whenever the diff changes.
+    observeFileHeaders() {
+        if (this.badgeObserver) return;
+
+        this.badgeObserver = new MutationObserver(mutations => {
+            // Ignore our own badge insertions
+            const isBadge = node => node.classList?.contains('code-owners-file-badge') || node.closest?.('.code-owners-file-badge');
+            const relevant = mutations.some(mutation =>
+                !isBadge(mutation.target) &&
+                [...mutation.addedNodes, ...mutation.removedNodes].some(node => node.nodeType === Node.ELEMENT_NODE && !isBadge(node))
+            );
+            if (!relevant || this.badgeUpdateScheduled) return;
+
+            this.badgeUpdateScheduled = true;
+            requestAnimationFrame(() => {
+                this.badgeUpdateScheduled = false;
+                this.updateFileBadges();
+            });
+        });
+
+        const diffContainer = document.querySelector('.js-diff-progressive-container')?.parentElement ||
+                              document.querySelector('[data-target="react-app.reactRoot"]') ||
+                              document.body;
+        this.badgeObserver.observe(diffContainer, { childList: true, subtree: true });
+    }
+
     // Helper method to get all file elements (both old and new layouts)
     getAllFileElements() {
         // Try old layout first
@@ -507,15 +1350,23 @@ class CodeOwnersAnalyzer {
     async updateChangedFiles() {
         this.log('Updating changed files...');
 
-        // Reset tracking sets
-        this.filesWithOwners = new Set();
-        this.filesWithoutOwners = new Set();
+        const files = await this.dataProvider.getChangedFiles();
+        if (this.isDestroyed) return;
+        this.changedFiles = new Set(files);
+        this.log('Total files found:', this.changedFiles.size);
+
+        // Only update UI if we have files
+        if (this.changedFiles.size > 0) {
+            this.updateUI();
+        }
+    }
 
+    async scrapeChangedFiles() {
         // Wait for the progressive loading to complete
         await this.waitForAllFiles();
 
         const files = this.getAllFileElements();
-        this.changedFiles.clear();
+        const changedFiles = [];
 
         this.log(`Processing ${files.length} files...`);
 
@@ -523,37 +1374,34 @@ class CodeOwnersAnalyzer {
         const BATCH_SIZE = 20;
         let processed = 0;
 
-        const processNextBatch = () => {
-            const batch = Array.from(files).slice(processed, processed + BATCH_SIZE);
-
-            batch.forEach(file => {
-                const path = this.getFilePathFromElement(file);
+        return new Promise(resolve => {
+            const processNextBatch = () => {
+                const batch = Array.from(files).slice(processed, processed + BATCH_SIZE);
 
-                if (path) {
-                    this.log('Found changed file:', path);
-                    this.changedFiles.add(path);
-                } else {
-                    this.log('Could not find path for file:', file.outerHTML.substring(0, 200));
-                }
-            });
+                batch.forEach(file => {
+                    const path = this.getFilePathFromElement(file);
 
-            processed += batch.length;
+                    if (path) {
+                        this.log('Found changed file:', path);
+                        changedFiles.push(path);
+                    } else {
+                        this.log('Could not find path for file:', file.outerHTML.substring(0, 200));
+                    }
+                });
 
-            // If there are more files to process, schedule the next batch
-            if (processed < files.length) {
-                setTimeout(processNextBatch, 0); // Use setTimeout to avoid blocking the UI
-            } else {
-                this.log('Total files found:', this.changedFiles.size);
+                processed += batch.length;
 
-                // Only update UI if we have files and this is not the initial load
-                if (this.changedFiles.size > 0) {
-                    this.updateUI();
+                // If there are more files to process, schedule the next batch
+                if (processed < files.length) {
+                    setTimeout(processNextBatch, 0); // Use setTimeout to avoid blocking the UI
+                } else {
+                    resolve(changedFiles);
                 }
-            }
-        };
+            };
 
-        // Start processing the first batch
-        processNextBatch();
+            // Start processing the first batch
+            processNextBatch();
+        });
     }
 
     async waitForAllFiles() {
@@ -597,8 +1445,10 @@ class CodeOwnersAnalyzer {
         });
     }
 
-    async getApprovedReviewers() {
-        const approvedReviewers = new Set();
+    async scrapeReviewStates() {
+        const reviews = [];
+        const requestedReviewers = [];
+        let currentStates = new Map();
 
         try {
             const prMatch = window.location.pathname.match(/\/pull\/(\d+)/);
@@ -607,241 +1457,570 @@ class CodeOwnersAnalyzer {
             const org = pathParts[1];
             const repo = pathParts[2];
 
-            this.log('Fetching approvals for PR:', { org, repo, prNumber });
+            this.log('Fetching reviews for PR:', { org, repo, prNumber });
             if (!prNumber) {
                 console.error('Could not extract PR number from URL');
-                return approvedReviewers;
+                return reduceReviewStates(reviews);
             }
 
             // Fetch the conversation page
-            const response = await fetch(`https://github.com/${org}/${repo}/pull/${prNumber}`);
+            const response = await fetch(`${this.githubOrigin}/${org}/${repo}/pull/${prNumber}`);
             if (!response.ok) {
                 console.error('Failed to fetch conversation page:', response.status);
-                return approvedReviewers;
+                return reduceReviewStates(reviews);
             }
 
             const text = await response.text();
             const parser = new DOMParser();
             const doc = parser.parseFromString(text, 'text/html');
 
-            // Find all review items
+            // Timeline items are in chronological order
             const reviewItems = doc.querySelectorAll('.js-timeline-item');
             this.log('Found timeline items:', reviewItems.length);
 
             reviewItems.forEach(item => {
-                // Look for approval indicators
-                const hasApproval = item.querySelector('.octicon-check.color-fg-success') ||
-                    item.querySelector('[title*="approved these changes"]') ||
-                    item.textContent.includes('approved these changes');
-
-                if (hasApproval) {
-                    // Try multiple ways to find the reviewer
-                    const reviewer = item.querySelector('.author') ||
-                        item.querySelector('.Link--primary') ||
-                        item.querySelector('[data-hovercard-type="user"]');
-
-                    if (reviewer) {
-                        const reviewerName = '@' + reviewer.textContent.trim();
-                        this.log('Found approval from:', reviewerName);
-                        approvedReviewers.add(reviewerName);
-                    }
+                const itemText = item.textContent.replace(/\s+/g, ' ');
+
+                // "<actor> dismissed <reviewer>’s stale review" targets another user
+                const dismissal = itemText.match(/dismissed (\S+?)[’']s (?:stale )?review/);
+                if (dismissal) {
+                    this.log('Found dismissed review of:', dismissal[1]);
+                    reviews.push({ reviewer: '@' + dismissal[1], state: REVIEW_STATES.DISMISSED });
+                    return;
                 }
-            });
 
-            // Also check the review summary section
-            const summarySection = doc.querySelector('.js-reviews-container');
-            if (summarySection) {
-                const approvedItems = summarySection.querySelectorAll('.color-fg-success');
-                approvedItems.forEach(item => {
-                    const summaryItem = item.closest('.review-summary-form-container');
-                    if (summaryItem) {
-                        const reviewer = summaryItem.querySelector('.Link--primary, .author, [data-hovercard-type="user"]');
-                        if (reviewer) {
-                            const reviewerName = '@' + reviewer.textContent.trim();
-                            this.log('Found approval in summary from:', reviewerName);
-                            approvedReviewers.add(reviewerName);
-                        }
-                    }
-                });
-            }
+                let state = null;
+                if (item.querySelector('[title*="approved these changes"]') || itemText.includes('approved these changes')) {
+                    state = REVIEW_STATES.APPROVED;
+                } else if (itemText.includes('requested changes')) {
+                    state = REVIEW_STATES.CHANGES_REQUESTED;
+                } else if (item.querySelector('.js-comment-container') && /\b(reviewed|left review comments)\b/.test(itemText)) {
+                    state = REVIEW_STATES.COMMENTED;
+                }
+                if (!state) return;
 
-            // Also check the PR header for approved reviews
-            const headerReviews = doc.querySelectorAll('.pull-header-participating .participation-avatars .avatar');
-            headerReviews.forEach(avatar => {
-                const isApproved = avatar.closest('.approved') ||
-                    avatar.getAttribute('title')?.includes('approved');
-                if (isApproved) {
-                    const reviewer = avatar.getAttribute('alt')?.replace('@', '');
-                    if (reviewer) {
-                        const reviewerName = '@' + reviewer;
-                        this.log('Found approval in header from:', reviewerName);
-                        approvedReviewers.add(reviewerName);
-                    }
+                // Try multiple ways to find the reviewer
+                const reviewer = item.querySelector('.author') ||
+                    item.querySelector('.Link--primary') ||
+                    item.querySelector('[data-hovercard-type="user"]');
+
+                if (reviewer) {
+                    const reviewerName = '@' + reviewer.textContent.trim();
+                    this.log(`Found ${state} review from:`, reviewerName);
+                    reviews.push({ reviewer: reviewerName, state });
                 }
             });
 
-            this.log('Final approved reviewers:', Array.from(approvedReviewers));
+            // The reviewers sidebar shows each reviewer's current state and
+            // takes precedence over what was reconstructed from the timeline
+            currentStates = this.scrapeSidebarReviewStates(doc, requestedReviewers);
         } catch (error) {
-            console.error('Failed to get approved reviewers:', error);
+            console.error('Failed to get review states:', error);
         }
 
-        return approvedReviewers;
+        const reviewStates = reduceReviewStates(reviews, requestedReviewers);
+        currentStates.forEach((state, reviewer) => reviewStates.set(reviewer, state));
+
+        this.log('Final review states:', Object.fromEntries(reviewStates));
+        return reviewStates;
     }
 
-    getFileOwners(filePath) {
-        // Check if we've already determined owners for this file
-        if (this._fileOwnersCache && this._fileOwnersCache[filePath]) {
-            return this._fileOwnersCache[filePath];
+    scrapeSidebarReviewStates(doc, requestedReviewers) {
+        const states = new Map();
+        const sidebarForm = doc.querySelector('form.js-issue-sidebar-form[aria-label="Select reviewers"]') ||
+            doc.querySelector('.js-issue-sidebar-form [data-reviewers]')?.closest('form');
+        if (!sidebarForm) return states;
+
+        sidebarForm.querySelectorAll('.reviewers-status-icon').forEach(icon => {
+            const row = icon.closest('p, .d-flex');
+            const reviewer = row?.querySelector('[data-hovercard-type="user"], .assignee span')?.textContent.trim();
+            if (!reviewer) return;
+
+            const reviewerName = '@' + reviewer;
+            const label = (icon.getAttribute('aria-label') || icon.getAttribute('title') ||
+                icon.querySelector('[aria-label]')?.getAttribute('aria-label') || '').toLowerCase();
+
+            if (label.includes('approved')) {
+                states.set(reviewerName, REVIEW_STATES.APPROVED);
+            } else if (label.includes('requested changes')) {
+                states.set(reviewerName, REVIEW_STATES.CHANGES_REQUESTED);
+            } else if (label.includes('awaiting')) {
+                requestedReviewers.push(reviewerName);
+            }
+        });
+
+        this.log('Found sidebar review states:', Object.fromEntries(states));
+        return states;
+    }
+
+    isTeamOwner(owner) {
+        return /^@[^/\s]+\/[^/\s]+$/.test(owner);
+    }
+
+    // Resolve every @org/team owner to its members. An imported team mapping
+    // takes precedence; the GitHub API is used when a token is configured.
+    async resolveTeamOwners() {
+        const teams = this.codeownersOwners.filter(owner => this.isTeamOwner(owner));
+
+        for (const team of teams) {
+            if (this.teamMembers.has(team)) continue;
+
+            const members = this.expandTeamFromMapping(team) || await this.fetchTeamMembers(team);
+            if (members) {
+                this.log(`Resolved ${team} to ${members.size} members`);
+                this.teamMembers.set(team, members);
+            } else {
+                this.log(`Could not resolve members of ${team}`);
+            }
         }
+    }
 
-        // Initialize cache if not exists
-        if (!this._fileOwnersCache) {
-            this._fileOwnersCache = {};
+    // Mapping entries may list child teams, which are expanded recursively
+    expandTeamFromMapping(team, visited = new Set()) {
+        const key = team.toLowerCase();
+        const entries = this.settings.teamMapping[key];
+        if (!Array.isArray(entries) || visited.has(key)) return null;
+        visited.add(key);
+
+        const members = new Set();
+        entries.forEach(entry => {
+            if (this.isTeamOwner(entry)) {
+                const childMembers = this.expandTeamFromMapping(entry, visited);
+                if (childMembers) childMembers.forEach(member => members.add(member));
+            } else {
+                members.add(entry);
+            }
+        });
+        return members;
+    }
+
+    async fetchTeamMembers(team) {
+        if (!this.apiClient) return null;
+
+        const [org, slug] = team.substring(1).split('/');
+        try {
+            // The members endpoint already includes members of child teams
+            const members = await this.apiClient.requestPages(
+                `/orgs/${encodeURIComponent(org)}/teams/${encodeURIComponent(slug)}/members?per_page=100`
+            );
+            return new Set(members.map(member => '@' + member.login));
+        } catch (error) {
+            console.error(`Failed to fetch members of ${team}:`, error);
+            return null;
         }
+    }
 
-        // GitHub's algorithm: The last matching pattern in the CODEOWNERS file wins
-        let lastMatchedOwners = new Set();
-        let lastMatchedPattern = '';
-        
-        // We need to iterate through patterns in the same order they appear in the file
-        if (this._rawCodeowners) {
-            const lines = this._rawCodeowners.split('\n');
-            for (const line of lines) {
-                if (line.startsWith('#') || !line.trim()) continue;
-                
-                const [pattern, ...owners] = line.trim().split(/\s+/);
-                if (!pattern || owners.length === 0) continue;
-                
-                // Convert pattern to be comparable with filePath (remove leading slash)
-                const normalizedPattern = pattern.replace(/^\//, '');
-                
-                // Check if this pattern matches the file
-                if (this.doesPatternMatch(normalizedPattern, filePath)) {
-                    this.log(`File ${filePath} matches pattern ${pattern}`);
-                    
-                    // Update to the latest match
-                    lastMatchedOwners = new Set(owners.filter(owner => owner !== this.prAuthor));
-                    lastMatchedPattern = pattern;
-                }
+    isEmailOwner(owner) {
+        return !owner.startsWith('@') && owner.includes('@');
+    }
+
+    // Map email owners to GitHub logins using the alias table from the options
+    // page, falling back to the users search API when that lookup is enabled.
+    async resolveEmailOwners() {
+        const emails = this.codeownersOwners.filter(owner => this.isEmailOwner(owner));
+
+        for (const email of emails) {
+            if (this.emailLogins.has(email)) continue;
+
+            const login = this.settings.emailAliases[email.toLowerCase()] || await this.searchUserByEmail(email);
+            if (login) {
+                this.log(`Resolved ${email} to ${login}`);
+            } else {
+                this.log(`Could not resolve email owner ${email}`);
             }
-        } else {
-            // Fallback to the old method if raw codeowners is not available
-            this.log('WARNING: Using fallback owner matching because raw CODEOWNERS content is not available');
-            
-            const matchingPatterns = new Map();
-            
-            // Collect all matching patterns for this file
-            this.codeownersMap.forEach((patterns, owner) => {
-                if (owner === this.prAuthor) return; // Skip PR author
-                
-                patterns.forEach(patternObj => {
-                    if (patternObj.regex.test(filePath)) {
-                        const patternStr = patternObj.originalPattern;
-                        if (!matchingPatterns.has(patternStr)) {
-                            matchingPatterns.set(patternStr, new Set());
-                        }
-                        matchingPatterns.get(patternStr).add(owner);
-                    }
-                });
+            this.emailLogins.set(email, login || null);
+        }
+    }
+
+    async searchUserByEmail(email) {
+        if (!this.apiClient || !this.settings.emailLookupViaApi) return null;
+
+        try {
+            const query = encodeURIComponent(`${email} in:email`);
+            const data = await this.apiClient.request(`/search/users?q=${query}`);
+
+            // Only trust an unambiguous match
+            return data.total_count === 1 ? '@' + data.items[0].login : null;
+        } catch (error) {
+            console.error(`Failed to look up GitHub user for ${email}:`, error);
+            return null;
+        }
+    }
+
+    // Team state: approved once any member approved, otherwise the most significant member state
+    getOwnerReviewState(owner) {
+        if (this.isOwnerApproved(owner)) return REVIEW_STATES.APPROVED;
+
+        const members = this.teamMembers.get(owner);
+        if (!members) return this.reviewStates.get(owner) || null;
+
+        const memberStates = Array.from(members).map(member => this.reviewStates.get(member));
+        const priority = [
+            REVIEW_STATES.CHANGES_REQUESTED,
+            REVIEW_STATES.COMMENTED,
+            REVIEW_STATES.PENDING,
+            REVIEW_STATES.DISMISSED
+        ];
+        return priority.find(state => memberStates.includes(state)) || this.reviewStates.get(owner) || null;
+    }
+
+    // An owner blocks when they (or, for teams, any member) requested changes
+    isOwnerBlocking(owner) {
+        return isOwnerBlockingIn(owner, this.reviewStates, this.teamMembers);
+    }
+
+    // Requests reviews from the owners of a full coverage owner or combined set,
+    // after confirmation next to the clicked button. Owners who approved or are
+    // requested already are skipped. The outcome is shown in the status bar.
+    async requestReviews(owners, button) {
+        const [, org] = window.location.pathname.split('/');
+        const statusText = document.getElementById('status-text');
+        const toRequest = [];
+        const skipped = [];
+        owners.forEach(owner => {
+            if (this.isOwnerApproved(owner)) {
+                skipped.push(`${owner} (approved)`);
+            } else if (this.reviewStates.get(owner) === REVIEW_STATES.PENDING) {
+                skipped.push(`${owner} (already requested)`);
+            } else if (this.isEmailOwner(owner)) {
+                skipped.push(`${owner} (no GitHub user)`);
+            } else if (this.isTeamOwner(owner) && owner.substring(1).split('/')[0].toLowerCase() !== org.toLowerCase()) {
+                skipped.push(`${owner} (team of another organization)`);
+            } else {
+                toRequest.push(owner);
+            }
+        });
+
+        if (toRequest.length === 0) {
+            if (statusText) {
+                statusText.textContent = `No reviews to request: ${skipped.join(', ')}`;
+            }
+            return;
+        }
+
+        if (!await this.confirmReviewRequest(button, toRequest, skipped)) return;
+
+        try {
+            await this.dataProvider.requestReviewers({
+                users: toRequest.filter(owner => !this.isTeamOwner(owner)).map(owner => owner.substring(1)),
+                teams: toRequest.filter(owner => this.isTeamOwner(owner)).map(owner => owner.split('/')[1])
             });
-            
-            if (matchingPatterns.size > 0) {
-                // We don't know the original order, so this is approximate
-                for (const [pattern, owners] of matchingPatterns) {
-                    lastMatchedPattern = pattern;
-                    lastMatchedOwners = owners;
-                }
+        } catch (error) {
+            console.error('Failed to request reviews:', error);
+            if (statusText) {
+                statusText.textContent = `Could not request reviews: ${error.message}`;
             }
+            return;
         }
-        
-        this.log(`Found ${lastMatchedOwners.size} owners for file ${filePath} (pattern: ${lastMatchedPattern}):`, Array.from(lastMatchedOwners));
-        
-        // Track the file in the appropriate set
-        if (lastMatchedOwners.size > 0) {
-            this.filesWithOwners.add(filePath);
-        } else {
-            this.filesWithoutOwners.add(filePath);
+
+        // Show the new requests as pending
+        this.dataProvider.refresh();
+        await this.updateUI();
+        const updatedStatusText = document.getElementById('status-text');
+        if (updatedStatusText) {
+            updatedStatusText.textContent = `Requested reviews from ${toRequest.join(', ')}`;
         }
-        
-        // Cache the result before returning
-        this._fileOwnersCache[filePath] = lastMatchedOwners;
-        return lastMatchedOwners;
-    }
-    
-    /**
-     * Checks if a file path matches a given CODEOWNERS pattern.
-     * This implements GitHub's pattern matching algorithm.
-     */
-    doesPatternMatch(pattern, filePath) {
-        // Remove leading slash from pattern and file path for consistency
-        pattern = pattern.replace(/^\//, '');
-        filePath = filePath.replace(/^\//, '');
-        
-        // Special case for exact match
-        if (pattern === filePath) {
-            return true;
+    }
+
+    // Asks below the button's list item whether to send the review requests;
+    // resolves with the answer. Opening another one cancels the previous one.
+    confirmReviewRequest(button, toRequest, skipped) {
+        this.pendingReviewConfirmation?.finish(false);
+
+        return new Promise(resolve => {
+            const confirmation = document.createElement('li');
+            confirmation.className = 'request-reviews-confirm';
+            confirmation.innerHTML = `
+                <span class="flex-1">
+                    Request reviews from ${escapeHtml(toRequest.join(', '))}?
+                    ${skipped.length > 0 ? `<span class="color-fg-muted">Skipping ${escapeHtml(skipped.join(', '))}.</span>` : ''}
+                </span>
+                <button class="btn btn-sm" value="cancel">Cancel</button>
+                <button class="btn btn-sm btn-primary" value="request">Request</button>
+            `;
+
+            const finish = confirmed => {
+                this.pendingReviewConfirmation = null;
+                confirmation.remove();
+                resolve(confirmed);
+            };
+            // showResults moves it to the re-rendered list by the set's owners
+            this.pendingReviewConfirmation = { owners: button.dataset.owners, element: confirmation, finish };
+            confirmation.querySelectorAll('button').forEach(choice => {
+                choice.addEventListener('click', () => finish(choice.value === 'request'));
+            });
+
+            button.closest('li').after(confirmation);
+            confirmation.querySelector('.btn-primary').focus();
+        });
+    }
+
+    // Fetch status and review load of every user who owns a changed file,
+    // directly or through a team
+    async resolveReviewerAvailability() {
+        const logins = new Set();
+        Object.values(this._fileOwnersCache).forEach(owners => owners.forEach(owner => {
+            if (this.isTeamOwner(owner)) {
+                (this.teamMembers.get(owner) || []).forEach(member => logins.add(member));
+            } else if (owner.startsWith('@')) {
+                logins.add(owner);
+            }
+        }));
+
+        const missing = Array.from(logins).filter(login => !this.reviewerAvailability.has(login));
+        if (missing.length === 0) return;
+
+        const fetched = await this.fetchReviewerAvailability(missing);
+        missing.forEach(login => {
+            // Unknown availability is cached too, so failed lookups aren't retried on every update
+            this.reviewerAvailability.set(login, fetched.get(login) || { busy: false, statusMessage: null, openReviewRequests: null });
+        });
+    }
+
+    // One GraphQL request per batch of users: their status and the number of
+    // open pull requests requesting their review
+    async fetchReviewerAvailability(logins) {
+        const availability = new Map();
+        if (!this.apiClient) return availability;
+
+        const BATCH_SIZE = 20;
+        for (let start = 0; start < logins.length; start += BATCH_SIZE) {
+            const batch = logins.slice(start, start + BATCH_SIZE);
+            const fields = batch.map((login, index) => {
+                const username = login.substring(1);
+                const reviewQuery = `is:pr is:open archived:false review-requested:${username}`;
+                // Only issueCount is read; a single node keeps the search cheap without relying on first: 0
+                return `
+                    user${index}: user(login: ${JSON.stringify(username)}) { status { indicatesLimitedAvailability message } }
+                    reviews${index}: search(query: ${JSON.stringify(reviewQuery)}, type: ISSUE, first: 1) { issueCount }`;
+            });
+
+            try {
+                const data = await this.apiClient.graphql(`query {${fields.join('')}\n}`);
+                batch.forEach((login, index) => {
+                    const status = data[`user${index}`]?.status;
+                    availability.set(login, {
+                        busy: !!status?.indicatesLimitedAvailability,
+                        statusMessage: status?.message || null,
+                        openReviewRequests: data[`reviews${index}`]?.issueCount ?? null
+                    });
+                });
+            } catch (error) {
+                console.error('Failed to fetch reviewer availability:', error);
+            }
         }
-        
-        // Handle directory patterns (ending with /)
-        if (pattern.endsWith('/')) {
-            return filePath.startsWith(pattern);
+
+        this.log('Fetched reviewer availability:', Object.fromEntries(availability));
+        return availability;
+    }
+
+    isOutOfOffice(login) {
+        const lowerLogin = login.toLowerCase();
+        return this.settings.outOfOfficeReviewers.some(reviewer => reviewer.toLowerCase() === lowerLogin);
+    }
+
+    getReviewerScore(login) {
+        const availability = this.reviewerAvailability.get(login);
+        const weights = this.AVAILABILITY_WEIGHTS;
+        return (this.isOutOfOffice(login) ? weights.outOfOffice : 0) +
+            (availability?.busy ? weights.busy : 0) +
+            (availability?.openReviewRequests || 0) * weights.openReviewRequest;
+    }
+
+    getOwnerSetAvailability(owners) {
+        const logins = new Set(this.reviewerAvailability.keys());
+        owners.forEach(owner => {
+            logins.add(owner);
+            (this.teamMembers.get(owner) || []).forEach(member => logins.add(member));
+        });
+        const reviewerScores = new Map(Array.from(logins, login => [login, this.getReviewerScore(login)]));
+        return getSetAvailabilityScore(owners, reviewerScores, this.teamMembers, this.approvedReviewers);
+    }
+
+    // Why an owner scores as they do, for the availability label
+    describeOwnerAvailability(owner) {
+        if (this.isOwnerApproved(owner)) return 'approved';
+
+        const members = this.teamMembers.get(owner);
+        if (members && members.size > 0) {
+            const [mostAvailable] = Array.from(members)
+                .sort((a, b) => this.getReviewerScore(a) - this.getReviewerScore(b));
+            return `most available member ${mostAvailable} (${this.describeOwnerAvailability(mostAvailable)})`;
         }
-        
-        // Handle file extension patterns (e.g., *.ts, **/*.graphql)
-        if (pattern.includes('*.')) {
-            const extension = pattern.split('*.').pop();
-            return filePath.endsWith(`.${extension}`);
+
+        const availability = this.reviewerAvailability.get(owner);
+        const reasons = [];
+        if (this.isOutOfOffice(owner)) reasons.push('out of office');
+        if (availability?.busy) {
+            reasons.push(availability.statusMessage ? `busy: ${availability.statusMessage}` : 'busy');
+        }
+        if (availability?.openReviewRequests != null) {
+            reasons.push(`${availability.openReviewRequests} open review request${availability.openReviewRequests === 1 ? '' : 's'}`);
+        }
+        return reasons.length > 0 ? reasons.join(', ') : 'no availability data';
+    }
+
+    // Sorts like the analysis does, with availability breaking the remaining ties
+    rankOwnerSets(sets) {
+        const scores = new Map(sets.map(set => [set, this.getOwnerSetAvailability(set)]));
+        sets.sort((a, b) => compareOwnerSets(a, b, {
+            isBlocking: owner => this.isOwnerBlocking(owner),
+            isApproved: owner => this.isOwnerApproved(owner),
+            availabilityScore: set => scores.get(set)
+        }));
+        return sets;
+    }
+
+    // Files owned by the owner that changed after their approval. A team's
+    // approval is stale only if every approving member's approval is.
+    getStaleApprovalFiles(owner) {
+        if (!this.isOwnerApproved(owner)) return [];
+
+        const members = this.teamMembers.get(owner);
+        const approvers = members
+            ? Array.from(members).filter(member => this.approvedReviewers.has(member))
+            : [owner];
+        if (approvers.length === 0) approvers.push(owner);
+
+        const ownerFiles = Array.from(this.getOwnerFiles(owner));
+        let staleFiles = null;
+        for (const approver of approvers) {
+            // Unknown approvals (e.g. without API access) are not flagged
+            if (!this.filesChangedSinceApproval.has(approver)) return [];
+
+            // null means the approved commit couldn't be compared, so assume everything changed
+            const changedFiles = this.filesChangedSinceApproval.get(approver);
+            const approverStaleFiles = ownerFiles.filter(file => !changedFiles || changedFiles.has(file));
+            if (approverStaleFiles.length === 0) return [];
+
+            staleFiles = staleFiles
+                ? staleFiles.filter(file => approverStaleFiles.includes(file))
+                : approverStaleFiles;
+        }
+        return staleFiles || [];
+    }
+
+    createReviewStateIcon(state) {
+        const icons = {
+            [REVIEW_STATES.APPROVED]: ['✓', 'color-fg-success', 'Approved'],
+            [REVIEW_STATES.CHANGES_REQUESTED]: ['✗', 'color-fg-danger', 'Requested changes'],
+            [REVIEW_STATES.COMMENTED]: ['✎', 'color-fg-muted', 'Commented'],
+            [REVIEW_STATES.DISMISSED]: ['⊘', 'color-fg-muted', 'Review dismissed'],
+            [REVIEW_STATES.PENDING]: ['○', 'color-fg-attention', 'Review pending']
+        };
+        if (!icons[state]) return '';
+
+        const [symbol, colorClass, label] = icons[state];
+        return `<span class="review-state ${colorClass}" title="${label}">${symbol}</span>`;
+    }
+
+    // A team owner counts as approved as soon as one of its members approved
+    isOwnerApproved(owner, approvedReviewers = this.approvedReviewers) {
+        return isOwnerApprovedBy(owner, approvedReviewers, this.teamMembers);
+    }
+
+    // Owners of a file, as found by the last analysis
+    getFileOwners(filePath) {
+        return this._fileOwnersCache[filePath] || new Set();
+    }
+
+    // The CODEOWNERS rule that won for a file ({ pattern, lineNumber, owners }),
+    // or null when no rule matched
+    getFileMatch(filePath) {
+        return this.fileMatches.get(filePath) || null;
+    }
+
+    isFileApproved(filePath) {
+        return Array.from(this.getFileOwners(filePath)).some(owner => this.isOwnerApproved(owner));
+    }
+
+    // Finds the diff of a file on the page, if it is rendered
+    findFileElement(filePath) {
+        return Array.from(this.getAllFileElements())
+            .find(fileElement => this.getFilePathFromElement(fileElement) === filePath) || null;
+    }
+
+    // Files section: each changed file with the rule that won, its owners and approval
+    renderFileList(fileList) {
+        const { filter, groupByDirectory } = this.fileListView;
+        const files = Array.from(this.changedFiles)
+            .sort()
+            .filter(file => {
+                if (filter === 'unowned') return this.getFileOwners(file).size === 0;
+                if (filter === 'unapproved') return this.getFileOwners(file).size > 0 && !this.isFileApproved(file);
+                return true;
+            });
+
+        if (files.length === 0) {
+            fileList.innerHTML = '<li class="color-fg-muted">No matching files</li>';
+            return;
         }
-        
-        // Handle directory with ** pattern
-        if (pattern.includes('**')) {
-            const parts = pattern.split('**');
-            const start = parts[0];
-            const end = parts[1];
-            
-            // If pattern starts with a path, file must start with that path
-            if (start && !filePath.startsWith(start)) {
-                return false;
-            }
-            
-            // If pattern ends with a path, file must end with that path
-            if (end && !filePath.endsWith(end)) {
-                return false;
+
+        const createFileElement = (file) => {
+            const rule = this.getFileMatch(file);
+            const owners = Array.from(this.getFileOwners(file));
+            const slash = file.lastIndexOf('/');
+            const name = groupByDirectory ? file.substring(slash + 1) : file;
+
+            let status;
+            if (owners.length === 0) {
+                status = '<span class="review-state color-fg-muted" title="No owners">–</span>';
+            } else if (this.isFileApproved(file)) {
+                status = this.createReviewStateIcon(REVIEW_STATES.APPROVED);
+            } else {
+                status = this.createReviewStateIcon(REVIEW_STATES.PENDING);
             }
-            
-            return true;
-        }
-        
-        // Handle directory pattern without trailing slash
-        // If the pattern is a directory name, it should match files in that directory
-        if (!pattern.includes('*') && !pattern.includes('.')) {
-            return filePath.startsWith(pattern + '/');
-        }
-        
-        // Convert GitHub glob pattern to regex
-        let regexPattern = pattern
-            .replace(/\./g, "\\.") // Escape dots
-            .replace(/\*\*/g, ".*") // Convert ** to match across directories
-            .replace(/\*/g, "[^/]*");
-            
-        // If pattern ends with a directory separator, match files underneath
-        if (pattern.endsWith('/')) {
-            regexPattern = `^${regexPattern}.*`;
+
+            const ruleText = rule
+                ? `<code>${escapeHtml(rule.pattern)}</code> · line ${rule.lineNumber}${rule.owners.length === 0 ? ' (no owners)' : ''}`
+                : 'No matching rule';
+            const ownerText = owners.length > 0
+                ? owners.map(owner => `${owner}${this.isOwnerApproved(owner) ? ' ✓' : ''}`).join(', ')
+                : '';
+
+            return `
+                <li class="file-entry">
+                    <span class="d-flex flex-items-center">
+                        ${status}
+                        <a href="#" class="file-link ml-1" data-path="${escapeHtml(file)}" title="${escapeHtml(file)}">${escapeHtml(name)}</a>
+                    </span>
+                    <span class="f6 color-fg-muted">${ruleText}</span>
+                    ${ownerText ? `<span class="f6">${escapeHtml(ownerText)}</span>` : ''}
+                </li>`;
+        };
+
+        if (groupByDirectory) {
+            const directories = new Map();
+            files.forEach(file => {
+                const slash = file.lastIndexOf('/');
+                const directory = slash >= 0 ? file.substring(0, slash) : '/';
+                if (!directories.has(directory)) {
+                    directories.set(directory, []);
+                }
+                directories.get(directory).push(file);
+            });
+            fileList.innerHTML = Array.from(directories).map(([directory, directoryFiles]) => `
+                <li class="file-directory color-fg-muted" title="${escapeHtml(directory)}">${escapeHtml(directory)}</li>
+                ${directoryFiles.map(createFileElement).join('')}`).join('');
         } else {
-            regexPattern = `^${regexPattern}$`;
-        }
-        
-        try {
-            const regex = new RegExp(regexPattern);
-            return regex.test(filePath);
-        } catch (e) {
-            this.log(`Error in pattern matching: ${e.message}`);
-            // Fallback to simpler check
-            return filePath.startsWith(pattern) || filePath === pattern;
+            fileList.innerHTML = files.map(createFileElement).join('');
         }
-    }
 
-    async getPRState() {
+        // Scroll to the file's diff, or jump to its anchor when it isn't rendered yet
+        fileList.querySelectorAll('.file-link').forEach(link => {
+            link.addEventListener('click', async e => {
+                e.preventDefault();
+                const filePath = link.dataset.path;
+                const fileElement = this.findFileElement(filePath);
+                if (fileElement) {
+                    fileElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                } else {
+                    window.location.hash = await getDiffAnchor(filePath);
+                }
+            });
+        });
+    }
+    async scrapePRState() {
         try {
             // Try to get state from embedded data first (most reliable for new layout)
             const scriptElement = document.querySelector('script[data-target="react-app.embeddedData"]');
@@ -931,7 +2110,7 @@ class CodeOwnersAnalyzer {
         }
     }
 
-    async getPRAuthor() {
+    async scrapePRAuthor() {
         try {
             // Try old layout first
             const oldAuthorElement = document.querySelector('.gh-header-meta .author');
@@ -985,187 +2164,64 @@ class CodeOwnersAnalyzer {
         }
     }
 
-    analyzeOwnership() {
-        const fullCoverageOwners = new Set();
-        const ownerToFiles = new Map();
-        this.log('Analyzing ownership for files:', Array.from(this.changedFiles));
+    // Runs the analysis in the worker. Matched files and the results found before
+    // the combined set search are shown as they arrive. Resolves with the final
+    // results, or null when a newer analysis replaced this one.
+    async analyzeOwnership() {
+        const files = Array.from(this.changedFiles);
+        this.log('Analyzing ownership for files:', files);
 
-        // Get PR author to exclude them
-        const prAuthor = this.prAuthor;
-        this.log('PR author to exclude:', prAuthor);
+        this._fileOwnersCache = {};
+        this.fileMatches = new Map();
+        this.filesWithOwners = new Set();
+        this.filesWithoutOwners = new Set();
 
-        // Map owners to their covered files and track files that have owners
-        this.changedFiles.forEach(file => {
-            const fileOwners = this.getFileOwners(file);
-            if (fileOwners.size > 0) {
-                fileOwners.forEach(owner => {
-                    // Skip the PR author
-                    if (owner === prAuthor) return;
+        const request = this.createAnalysisRequest({ files, prAuthor: this.prAuthor, reviewStates: this.reviewStates });
+        const results = await this.analysis.analyze(request, message => {
+            if (this.isDestroyed) return;
 
-                    if (!ownerToFiles.has(owner)) {
-                        ownerToFiles.set(owner, new Set());
-                    }
-                    ownerToFiles.get(owner).add(file);
+            if (message.type === 'files') {
+                message.files.forEach(([file, owners, rule]) => {
+                    this._fileOwnersCache[file] = new Set(owners);
+                    this.fileMatches.set(file, rule);
+                    (owners.length > 0 ? this.filesWithOwners : this.filesWithoutOwners).add(file);
                 });
-            } else {
-                this.log(`File ${file} has no owners - will be ignored for coverage`);
-            }
-        });
-
-        // Find owners with full coverage (of files that have owners)
-        ownerToFiles.forEach((files, owner) => {
-            if (files.size === this.filesWithOwners.size) {
-                fullCoverageOwners.add(owner);
-            }
-        });
-
-        this.log('Owner to files mapping:', Object.fromEntries([...ownerToFiles].map(([k, v]) => [k, Array.from(v)])));
-        this.log('Full coverage owners:', Array.from(fullCoverageOwners));
-
-        // Find combined sets of owners for full coverage
-        const combinedSets = this.findCombinedOwnerSet(ownerToFiles);
-        this.log('Combined Coverage Sets:', combinedSets);
-
-        return {
-            fullCoverageOwners: Array.from(fullCoverageOwners),
-            combinedSets: combinedSets,
-            fileStats: {
-                total: this.changedFiles.size,
-                withOwners: this.filesWithOwners.size,
-                withoutOwners: this.filesWithoutOwners.size
-            }
-        };
-    }
-
-    findCombinedOwnerSet(ownerToFiles) {
-        const owners = Array.from(ownerToFiles.keys());
-
-        this.log('Finding combined set for files:', Array.from(this.filesWithOwners));
-        this.log('Available owners:', owners);
-
-        // First find owners with full coverage
-        const fullCoverageOwners = new Set();
-        ownerToFiles.forEach((files, owner) => {
-            // Skip PR author
-            if (owner === this.prAuthor) return;
-
-            if (files.size === this.filesWithOwners.size) {
-                fullCoverageOwners.add(owner);
-            }
-        });
-
-        // Remove full coverage owners and PR author from consideration
-        const partialOwners = owners.filter(owner =>
-            !fullCoverageOwners.has(owner) && owner !== this.prAuthor
-        );
-
-        if (partialOwners.length === 0) {
-            this.log('No partial coverage owners found');
-            return [];
-        }
-
-        let combinedSets = [];
-
-        // Cache owner file coverage for better performance
-        const ownerCoverage = new Map();
-        partialOwners.forEach(owner => {
-            ownerCoverage.set(owner, new Set(ownerToFiles.get(owner)));
-        });
-
-        // Helper function to get combination coverage - optimized with cached owner coverage
-        const getCoverage = (combination) => {
-            const covered = new Set();
-            combination.forEach(owner => {
-                const ownerFiles = ownerCoverage.get(owner);
-                ownerFiles.forEach(file => covered.add(file));
-            });
-            return covered;
-        };
-
-        // Helper function to check if a combination is redundant (optimized)
-        const isRedundantCombination = (combination) => {
-            // For each existing valid set
-            for (const validSet of combinedSets) {
-                // If all members of a valid set are in this combination, it's redundant
-                let isSuperset = true;
-                for (const owner of validSet) {
-                    if (!combination.includes(owner)) {
-                        isSuperset = false;
-                        break;
-                    }
-                }
-                if (isSuperset) return true;
-            }
-            return false;
-        };
 
-        combinationLoop:
-        // Start from 2 instead of 1 since single owners with full coverage are already identified
-        for (let i = 2; i <= Math.min(this.MAX_COMBINATION_SIZE, partialOwners.length); i++) {
-            this.log(`Trying combinations of ${i} partial owners...`);
-
-            // Optimization: Avoid generating all combinations at once
-            // Instead, generate and process them one by one
-            const combinations = this.getCombinations(partialOwners, i);
-
-            for (const combination of combinations) {
-                // Exit early if we've found enough combinations
-                if (combinedSets.length >= this.MAX_COMBINATIONS_TO_SHOW) {
-                    this.log(`Reached maximum of ${this.MAX_COMBINATIONS_TO_SHOW} combinations, stopping search`);
-                    break combinationLoop;
-                }
-
-                // Skip this combination if it's a superset of an existing valid combination
-                if (isRedundantCombination(combination)) {
-                    // Only log occasionally to reduce console spam
-                    if (this.DEBUG_MODE && Math.random() < 0.01) {
-                        this.log(`Skipping redundant combination: ${combination}`);
-                    }
-                    continue;
-                }
-
-                const coverage = getCoverage(combination);
-
-                // Add combinations that provide full coverage
-                if (coverage.size === this.filesWithOwners.size) {
-                    combinedSets.push(combination);
-                    this.log('Found valid combination:', combination);
+                const statusText = document.getElementById('status-text');
+                if (statusText) {
+                    statusText.textContent = `Matching files to owners... ${message.done}/${message.total}`;
                 }
+            } else if (message.type === 'partial') {
+                // Everything but the combined sets is known, show it while they're searched
+                this.isSearchingCombinedSets = true;
+                this.hasMoreCombinedSets = false;
+                this.showResults(message.fullCoverageOwners, [], this.approvedReviewers, message.fileStats, message.remaining);
+                this.updateFileBadges();
             }
-        }
-
-        // Sort combinations by size for better UX (smaller combinations first)
-        combinedSets.sort((a, b) => {
-            // First sort by length
-            if (a.length !== b.length) return a.length - b.length;
-
-            // Then by approved status count (combinations with more approved reviewers first)
-            const aApprovedCount = a.filter(owner => this.approvedReviewers?.has(owner)).length;
-            const bApprovedCount = b.filter(owner => this.approvedReviewers?.has(owner)).length;
-            return bApprovedCount - aApprovedCount;
         });
 
-        return combinedSets;
-    }
-
-    getCombinations(arr, k) {
-        const combinations = [];
-
-        function backtrack(start, combination) {
-            if (combination.length === k) {
-                combinations.push([...combination]);
-                return;
-            }
-
-            for (let i = start; i < arr.length; i++) {
-                combination.push(arr[i]);
-                backtrack(i + 1, combination);
-                combination.pop();
-            }
+        this.isSearchingCombinedSets = false;
+        if (results) {
+            this.log('Full coverage owners:', results.fullCoverageOwners);
+            this.log('Combined Coverage Sets:', results.combinedSets);
+            this.log('Remaining approvals:', results.remaining);
+            this.hasMoreCombinedSets = results.hasMoreCombinedSets;
         }
+        return results;
+    }
 
-        backtrack(0, []);
-        return combinations;
+    // Analysis worker request for a pull request, with the resolved teams and emails
+    createAnalysisRequest({ files, prAuthor, reviewStates }) {
+        return {
+            files,
+            prAuthor,
+            ignoredOwners: Array.from(this.ignoredOwners),
+            emailLogins: Array.from(this.emailLogins),
+            teamMembers: Array.from(this.teamMembers, ([team, members]) => [team, Array.from(members)]),
+            reviewStates: Array.from(reviewStates),
+            maxCombinationSize: this.MAX_COMBINATION_SIZE,
+            maxCombinationsToShow: this.MAX_COMBINATIONS_TO_SHOW
+        };
     }
 
     createUI() {
@@ -1192,6 +2248,31 @@ class CodeOwnersAnalyzer {
         header.innerHTML = `
             <div class="flex-1" style="user-select: none;">GitHub PR Code Owners Analyzer</div>
             <div class="d-flex">
+                <div class="export-menu-container">
+                    <button class="btn-octicon" id="code-owners-export" title="Export report" aria-label="Export report" aria-expanded="false" disabled>
+                        <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                            <path fill="currentColor" d="M2.75 14A1.75 1.75 0 0 1 1 12.25v-2.5a.75.75 0 0 1 1.5 0v2.5c0 .138.112.25.25.25h10.5a.25.25 0 0 0 .25-.25v-2.5a.75.75 0 0 1 1.5 0v2.5A1.75 1.75 0 0 1 13.25 14Z"></path>
+                            <path fill="currentColor" d="M7.25 7.689V2a.75.75 0 0 1 1.5 0v5.689l1.97-1.969a.749.749 0 1 1 1.06 1.06l-3.25 3.25a.749.749 0 0 1-1.06 0L4.22 6.78a.749.749 0 1 1 1.06-1.06l1.97 1.969Z"></path>
+                        </svg>
+                    </button>
+                    <div class="export-menu color-bg-overlay color-fg-default border rounded-2" id="code-owners-export-menu" hidden>
+                        ${Object.entries(REPORT_FORMATS).map(([name, { label }]) => `
+                            <div class="export-menu-item d-flex flex-items-center">
+                                <span class="flex-1">${label}</span>
+                                <button class="btn-link f6" data-export-format="${name}" data-export-action="copy">Copy</button>
+                                <button class="btn-link f6 ml-2" data-export-format="${name}" data-export-action="download">Download</button>
+                            </div>`).join('')}
+                        ${this.canPublishSummary() ? `
+                            <div class="export-menu-item border-top color-border-muted">
+                                <button class="btn-link f6" id="code-owners-publish-summary">Publish summary comment…</button>
+                            </div>` : ''}
+                    </div>
+                </div>
+                <button class="btn-octicon" id="code-owners-refresh" title="Refresh analysis" aria-label="Refresh analysis">
+                    <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                        <path fill="currentColor" d="M1.705 8.005a.75.75 0 0 1 .834.656 5.5 5.5 0 0 0 9.592 2.97l-1.204-1.204a.25.25 0 0 1 .177-.427h3.646a.25.25 0 0 1 .25.25v3.646a.25.25 0 0 1-.427.177l-1.38-1.38A7.002 7.002 0 0 1 1.05 8.84a.75.75 0 0 1 .656-.834ZM8 2.5a5.487 5.487 0 0 0-4.131 1.869l1.204 1.204A.25.25 0 0 1 4.896 6H1.25A.25.25 0 0 1 1 5.75V2.104a.25.25 0 0 1 .427-.177l1.38 1.38A7.002 7.002 0 0 1 14.95 7.16a.75.75 0 0 1-1.49.178A5.5 5.5 0 0 0 8 2.5Z"></path>
+                    </svg>
+                </button>
                 <button class="btn-octicon" id="code-owners-collapse">
                     <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
                         <path fill="currentColor" d="M12.78 5.22a.749.749 0 0 1 0 1.06l-4.25 4.25a.749.749 0 0 1-1.06 0L3.22 6.28a.749.749 0 1 1 1.06-1.06L8 8.939l3.72-3.719a.749.749 0 0 1 1.06 0Z"></path>
@@ -1276,7 +2357,39 @@ class CodeOwnersAnalyzer {
             isDragging = false;
         });
 
+        // Export menu: copy or download the report of the results shown
+        const exportButton = document.getElementById('code-owners-export');
+        const exportMenu = document.getElementById('code-owners-export-menu');
+        exportButton.addEventListener('mousedown', e => e.stopPropagation());
+        exportMenu.addEventListener('mousedown', e => e.stopPropagation());
+        exportButton.addEventListener('click', () => {
+            exportMenu.hidden = !exportMenu.hidden;
+            exportButton.setAttribute('aria-expanded', String(!exportMenu.hidden));
+        });
+        exportMenu.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', async () => {
+                exportMenu.hidden = true;
+                exportButton.setAttribute('aria-expanded', 'false');
+                await this.exportReport(button.dataset.exportFormat, button.dataset.exportAction);
+            });
+        });
+
+        const publishButton = document.getElementById('code-owners-publish-summary');
+        if (publishButton) {
+            publishButton.addEventListener('click', async () => {
+                exportMenu.hidden = true;
+                exportButton.setAttribute('aria-expanded', 'false');
+                await this.publishSummary();
+            });
+        }
+
         // Add button handlers after panel is in DOM
+        const refreshButton = document.getElementById('code-owners-refresh');
+        refreshButton.addEventListener('click', async () => {
+            refreshButton.disabled = true;
+            await this.refreshAnalysis();
+        });
+
         const closeBtn = document.getElementById('code-owners-close');
         const collapseBtn = document.getElementById('code-owners-collapse');
 
@@ -1294,6 +2407,11 @@ class CodeOwnersAnalyzer {
                 collapseBtn.querySelector('svg').style.transform =
                     contentWrapper.style.display === 'none' ? 'rotate(-90deg)' : 'rotate(0deg)';
             });
+
+            // Apply the default panel state from the options page
+            if (this.settings.panelCollapsed) {
+                collapseBtn.click();
+            }
         }
 
         // Show initial loading state
@@ -1308,6 +2426,8 @@ class CodeOwnersAnalyzer {
             return;
         }
 
+        // The owner lists, and any confirmation open in them, are replaced
+        this.pendingReviewConfirmation?.finish(false);
         // Fix SVG path error by using a correct SVG spinner
         contentArea.innerHTML = `
             <div class="d-flex flex-column">
@@ -1324,10 +2444,11 @@ class CodeOwnersAnalyzer {
         `;
     }
 
-    showResults(fullCoverageOwners, combinedSets, approvedReviewers, fileStats) {
+    showResults(fullCoverageOwners, combinedSets, approvedReviewers, fileStats, remaining) {
         this.log('Showing results with approvals:', {
             fullCoverageOwners,
             combinedSets,
+            remaining,
             approvedReviewers: Array.from(approvedReviewers),
             fileStats
         });
@@ -1337,34 +2458,196 @@ class CodeOwnersAnalyzer {
             return;
         }
 
+        this.lastResults = { fullCoverageOwners, combinedSets, remaining };
+        const exportButton = document.getElementById('code-owners-export');
+        if (exportButton) exportButton.disabled = false;
+
+        // Teams render as an expandable group of their members
+        const createTeamElement = (owner) => {
+            const [org, slug] = owner.substring(1).split('/').map(escapeHtml);
+            const members = this.teamMembers.get(owner);
+            const memberItems = members
+                ? Array.from(members).map(member => {
+                    const username = escapeHtml(member.substring(1));
+                    return `
+                    <li>
+                        <img src="${this.githubOrigin}/${username}.png" alt="${username}"
+                             width="16" height="16" class="avatar" />
+                        <a href="${this.githubOrigin}/${username}" class="Link--secondary" target="_blank" rel="noopener noreferrer">${escapeHtml(member)}</a>
+                        ${this.createReviewStateIcon(this.reviewStates.get(member))}
+                    </li>`;
+                }).join('')
+                : '<li class="color-fg-muted">Members unknown. Import a team mapping or set an API token in the extension options.</li>';
+
+            return `
+                <details class="team-group">
+                    <summary class="team-summary">
+                        <img src="${this.githubOrigin}/${org}.png" alt="${org}"
+                             width="20" height="20" class="avatar mr-1" />
+                        <a href="${this.githubOrigin}/orgs/${org}/teams/${slug}" class="Link--primary owner-link" target="_blank" rel="noopener noreferrer">${escapeHtml(owner)}</a>
+                        ${members ? `<span class="color-fg-muted ml-1">(${members.size})</span>` : ''}
+                        ${this.createReviewStateIcon(this.getOwnerReviewState(owner))}
+                        ${createStaleLabel(owner)}
+                    </summary>
+                    <ul class="team-members">${memberItems}</ul>
+                </details>`;
+        };
+
+        // Emails without a matching GitHub user can't be linked or approve
+        const createUnresolvedEmailElement = (owner) => `
+            <span class="unresolved-owner d-inline-flex flex-items-center" title="No GitHub user found for this email. Map it in the extension options.">
+                <svg class="octicon color-fg-attention mr-1" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                    <path fill="currentColor" d="M6.457 1.047c.659-1.234 2.427-1.234 3.086 0l6.082 11.378A1.75 1.75 0 0 1 14.082 15H1.918a1.75 1.75 0 0 1-1.543-2.575Zm1.763.707a.25.25 0 0 0-.44 0L1.698 13.132a.25.25 0 0 0 .22.368h12.164a.25.25 0 0 0 .22-.368Zm.53 3.996v2.5a.75.75 0 0 1-1.5 0v-2.5a.75.75 0 0 1 1.5 0ZM9 11a1 1 0 1 1-2 0 1 1 0 0 1 2 0Z"></path>
+                </svg>
+                <span class="owner-link">${escapeHtml(owner)}</span>
+                <span class="color-fg-attention ml-1">(unmapped email)</span>
+            </span>`;
+
+        // Flags owner sets that include someone who requested changes
+        const createBlockedLabel = (owners) => {
+            const blockers = owners.filter(owner => this.isOwnerBlocking(owner));
+            if (blockers.length === 0) return '';
+            return `<span class="Label Label--danger blocked-label" title="Changes requested by ${escapeHtml(blockers.join(', '))}">Blocked</span>`;
+        };
+
+        // Requests reviews from every owner of a set in one go
+        const createRequestReviewsButton = (owners) => {
+            if (!this.dataProvider.canWrite) return '';
+            if (owners.every(owner => this.isOwnerApproved(owner))) return '';
+
+            return `
+                <button class="btn-octicon request-reviews-button" data-owners="${escapeHtml(JSON.stringify(owners))}"
+                        title="Request reviews from ${escapeHtml(owners.join(', '))}" aria-label="Request reviews">
+                    <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                        <path fill="currentColor" d="M7.9 8.548h-.001a5.528 5.528 0 0 1 3.1 4.659.75.75 0 1 1-1.498.086A4.01 4.01 0 0 0 5.5 9.5a4.01 4.01 0 0 0-4.001 3.793.75.75 0 1 1-1.498-.085 5.527 5.527 0 0 1 3.1-4.66 3.5 3.5 0 1 1 4.799 0ZM13.25 0a.75.75 0 0 1 .75.75V2h1.25a.75.75 0 0 1 0 1.5H14v1.25a.75.75 0 0 1-1.5 0V3.5h-1.25a.75.75 0 0 1 0-1.5h1.25V.75a.75.75 0 0 1 .75-.75ZM5.5 4a2 2 0 1 0-.001 3.999A2 2 0 0 0 5.5 4Z"></path>
+                    </svg>
+                </button>`;
+        };
+
+        // Explains where a set ranks by reviewer availability
+        const createAvailabilityLabel = (owners) => {
+            if (!this.settings.rankByAvailability) return '';
+
+            const score = this.getOwnerSetAvailability(owners);
+            const reasons = owners.map(owner => `${owner}: ${this.describeOwnerAvailability(owner)}`);
+            const title = [`Availability score ${score}. Among sets of the same size, lower scores rank higher.`, ...reasons].join('\n');
+            return `<span class="Label availability-label" title="${escapeHtml(title)}">Load ${score}</span>`;
+        };
+
+        // Flags approvals that predate later changes to the owner's files
+        const createStaleLabel = (owner) => {
+            const staleFiles = this.getStaleApprovalFiles(owner);
+            if (staleFiles.length === 0) return '';
+            const fileList = escapeHtml(staleFiles.join('\n'));
+            return `<span class="Label Label--attention stale-label ml-1" title="Changed since approval:\n${fileList}">Stale</span>`;
+        };
+
         const createOwnerElement = (owner) => {
-            const isApproved = approvedReviewers.has(owner);
-            const username = owner.substring(1); // Remove @ symbol
+            if (this.isTeamOwner(owner)) {
+                return `<li>${createTeamElement(owner)}${createBlockedLabel([owner])}${createRequestReviewsButton([owner])}</li>`;
+            }
+            if (this.isEmailOwner(owner)) {
+                return `<li>${createUnresolvedEmailElement(owner)}</li>`;
+            }
+
+            const username = escapeHtml(owner.substring(1)); // Remove @ symbol
             return `
                 <li>
-                    <img src="https://github.com/${username}.png" alt="${username}" 
+                    <img src="${this.githubOrigin}/${username}.png" alt="${username}" 
                          width="20" height="20" class="avatar" />
-                    <a href="https://github.com/${username}" class="Link--primary" target="_blank" rel="noopener noreferrer">${owner}</a>
-                    ${isApproved ? '<span class="color-fg-success">✓</span>' : ''}
+                    <a href="${this.githubOrigin}/${username}" class="Link--primary owner-link" target="_blank" rel="noopener noreferrer">${escapeHtml(owner)}</a>
+                    ${this.createReviewStateIcon(this.getOwnerReviewState(owner))}
+                    ${createStaleLabel(owner)}
+                    ${createBlockedLabel([owner])}
+                    ${createRequestReviewsButton([owner])}
                 </li>`;
         };
 
         const createCombinedSetElement = (owners) => {
             return `<span class="combined-set">` + owners.map(owner => {
-                const isApproved = approvedReviewers.has(owner);
-                const username = owner.substring(1); // Remove @ symbol
+                if (this.isTeamOwner(owner)) {
+                    return `<span class="d-inline-flex flex-items-center">${createTeamElement(owner)}</span>`;
+                }
+                if (this.isEmailOwner(owner)) {
+                    return createUnresolvedEmailElement(owner);
+                }
+
+                const username = escapeHtml(owner.substring(1)); // Remove @ symbol
                 return `
                     <span class="d-inline-flex flex-items-center">
-                        <img src="https://github.com/${username}.png" alt="${username}" 
+                        <img src="${this.githubOrigin}/${username}.png" alt="${username}" 
                              width="20" height="20" class="avatar mr-1" />
-                        <a href="https://github.com/${username}" class="Link--primary" target="_blank" rel="noopener noreferrer">${owner}</a>
-                        ${isApproved ? '<span class="color-fg-success">✓</span>' : ''}
+                        <a href="${this.githubOrigin}/${username}" class="Link--primary owner-link" target="_blank" rel="noopener noreferrer">${escapeHtml(owner)}</a>
+                        ${this.createReviewStateIcon(this.getOwnerReviewState(owner))}
+                        ${createStaleLabel(owner)}
                     </span>`;
             }).join('') + '</span>';
         };
 
+        // Progress towards code owner approval of every owned file, and who could finish it
+        const createRemainingElement = () => {
+            if (remaining.totalCount === 0) {
+                return '<li class="color-fg-muted">No changed files have code owners</li>';
+            }
+
+            const percent = Math.round(remaining.approvedCount / remaining.totalCount * 100);
+            const progress = `
+                <li class="remaining-progress">
+                    <span class="Progress flex-1">
+                        <span class="Progress-item color-bg-success-emphasis" style="width: ${percent}%"></span>
+                    </span>
+                    <span class="color-fg-muted">${remaining.approvedCount}/${remaining.totalCount} owned files approved</span>
+                </li>`;
+
+            if (remaining.remainingFiles.length === 0) {
+                const blockers = Array.from(this.reviewStates.keys()).filter(reviewer => this.isOwnerBlocking(reviewer));
+                return progress + (blockers.length > 0
+                    ? `<li>${createBlockedLabel(blockers)}<span class="color-fg-muted">All files approved, but changes are requested</span></li>`
+                    : '<li><span class="Label Label--success">Ready to merge (code owners)</span></li>');
+            }
+
+            const remainingList = escapeHtml(remaining.remainingFiles.join('\n'));
+            const reviewerSets = remaining.reviewerSets.length
+                ? remaining.reviewerSets.map((set, index) => `
+                    ${index > 0 ? `<li class="border-top color-border-muted"></li>` : ''}
+                    <li class="py-2">
+                        ${createCombinedSetElement(set)}
+                        ${createAvailabilityLabel(set)}
+                        ${createBlockedLabel(set)}
+                        ${createRequestReviewsButton(set)}
+                    </li>`).join('')
+                : `<li class="color-fg-muted">More than ${this.MAX_COMBINATION_SIZE} more reviewers needed</li>`;
+
+            return progress + `
+                <li class="color-fg-muted" title="${remainingList}">
+                    ${remaining.remainingFiles.length} file${remaining.remainingFiles.length === 1 ? '' : 's'} still need${remaining.remainingFiles.length === 1 ? 's' : ''} approval from:
+                </li>` + reviewerSets;
+        };
+
         contentArea.innerHTML = `
             <div class="d-flex flex-column">
+                ${this.createMergeChecklist(remaining)}
+                <div class="section">
+                    <div class="d-flex flex-items-center mb-2">
+                        <button class="btn-octicon mr-2 js-section-toggle" data-target="remaining-approvals-list">
+                            <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                                <path fill="currentColor" d="M12.78 5.22a.749.749 0 0 1 0 1.06l-4.25 4.25a.749.749 0 0 1-1.06 0L3.22 6.28a.749.749 0 1 1 1.06-1.06L8 8.939l3.72-3.719a.749.749 0 0 1 1.06 0Z"></path>
+                            </svg>
+                        </button>
+                        <h3 class="h5 mb-0">Still Needed</h3>
+                        <div class="tooltip-container">
+                            <span class="info-icon">
+                                <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                                    <path fill="currentColor" d="M8 1.5a6.5 6.5 0 100 13 6.5 6.5 0 000-13zM0 8a8 8 0 1116 0A8 8 0 010 8zm6.5-.25A.75.75 0 017.25 7h1a.75.75 0 01.75.75v2.75h.25a.75.75 0 010 1.5h-2a.75.75 0 010-1.5h.25v-2h-.25a.75.75 0 01-.75-.75zM8 6a1 1 0 100-2 1 1 0 000 2z"/>
+                                </svg>
+                            </span>
+                            <span class="tooltip">Fewest additional reviewers needed on top of the current approvals</span>
+                        </div>
+                    </div>
+                    <ul id="remaining-approvals-list" class="owners-list">
+                        ${createRemainingElement()}
+                    </ul>
+                </div>
                 <div class="section">
                     <div class="d-flex flex-items-center mb-2">
                         <button class="btn-octicon mr-2 js-section-toggle" data-target="full-coverage-list">
@@ -1411,20 +2694,158 @@ class CodeOwnersAnalyzer {
                                 ${index > 0 ? `<li class="border-top color-border-muted"></li>` : ''}
                                 <li class="py-2">
                                     ${createCombinedSetElement(set)}
+                                    ${createAvailabilityLabel(set)}
+                                    ${createBlockedLabel(set)}
+                                    ${createRequestReviewsButton(set)}
                                 </li>`).join('')
-                : '<li class="color-fg-muted">No Combined Coverage Sets found</li>'}
+                : `<li class="color-fg-muted">${this.isSearchingCombinedSets ? 'Searching...' : 'No Combined Coverage Sets found'}</li>`}
+                        ${this.hasMoreCombinedSets
+                ? '<li><button class="btn-link f6" id="show-more-combined-sets">Show more</button></li>'
+                : ''}
+                    </ul>
+                </div>
+                <div class="section">
+                    <div class="d-flex flex-items-center mb-2">
+                        <button class="btn-octicon mr-2 js-section-toggle" data-target="file-breakdown">
+                            <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16" style="transform: rotate(${this.fileListView.expanded ? 0 : -90}deg)">
+                                <path fill="currentColor" d="M12.78 5.22a.749.749 0 0 1 0 1.06l-4.25 4.25a.749.749 0 0 1-1.06 0L3.22 6.28a.749.749 0 1 1 1.06-1.06L8 8.939l3.72-3.719a.749.749 0 0 1 1.06 0Z"></path>
+                            </svg>
+                        </button>
+                        <h3 class="h5 mb-0">Files</h3>
+                        <div class="tooltip-container">
+                            <span class="info-icon">
+                                <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                                    <path fill="currentColor" d="M8 1.5a6.5 6.5 0 100 13 6.5 6.5 0 000-13zM0 8a8 8 0 1116 0A8 8 0 010 8zm6.5-.25A.75.75 0 017.25 7h1a.75.75 0 01.75.75v2.75h.25a.75.75 0 010 1.5h-2a.75.75 0 010-1.5h.25v-2h-.25a.75.75 0 01-.75-.75zM8 6a1 1 0 100-2 1 1 0 000 2z"/>
+                                </svg>
+                            </span>
+                            <span class="tooltip">The CODEOWNERS rule and owners of each changed file</span>
+                        </div>
+                    </div>
+                    <div id="file-breakdown" class="owners-list ${this.fileListView.expanded ? '' : 'collapsed'}">
+                        <div class="file-list-controls d-flex flex-items-center f6">
+                            <select id="file-list-filter" class="form-select select-sm">
+                                <option value="all">All files</option>
+                                <option value="unowned">Unowned</option>
+                                <option value="unapproved">Unapproved</option>
+                            </select>
+                            <label class="ml-2">
+                                <input type="checkbox" id="file-list-group"> Group by directory
+                            </label>
+                        </div>
+                        <ul id="file-list" class="owners-list file-list"></ul>
+                    </div>
+                </div>
+                <div class="section" id="codeowners-impact-section" ${this.codeownersImpact ? '' : 'hidden'}>
+                    <div class="d-flex flex-items-center mb-2">
+                        <button class="btn-octicon mr-2 js-section-toggle" data-target="codeowners-impact-list">
+                            <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                                <path fill="currentColor" d="M12.78 5.22a.749.749 0 0 1 0 1.06l-4.25 4.25a.749.749 0 0 1-1.06 0L3.22 6.28a.749.749 0 1 1 1.06-1.06L8 8.939l3.72-3.719a.749.749 0 0 1 1.06 0Z"></path>
+                            </svg>
+                        </button>
+                        <h3 class="h5 mb-0">CODEOWNERS impact</h3>
+                        <div class="tooltip-container">
+                            <span class="info-icon">
+                                <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                                    <path fill="currentColor" d="M8 1.5a6.5 6.5 0 100 13 6.5 6.5 0 000-13zM0 8a8 8 0 1116 0A8 8 0 010 8zm6.5-.25A.75.75 0 017.25 7h1a.75.75 0 01.75.75v2.75h.25a.75.75 0 010 1.5h-2a.75.75 0 010-1.5h.25v-2h-.25a.75.75 0 01-.75-.75zM8 6a1 1 0 100-2 1 1 0 000 2z"/>
+                                </svg>
+                            </span>
+                            <span class="tooltip">How this pull request's CODEOWNERS changes affect ownership: files that gain, lose or change owners, and how many files each owner gains or loses</span>
+                        </div>
+                    </div>
+                    <ul id="codeowners-impact-list" class="owners-list"></ul>
+                </div>
+                <div class="section">
+                    <div class="d-flex flex-items-center mb-2">
+                        <button class="btn-octicon mr-2 js-section-toggle" data-target="codeowners-health-list">
+                            <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16" style="transform: rotate(${this.codeownersHealth?.expanded ? 0 : -90}deg)">
+                                <path fill="currentColor" d="M12.78 5.22a.749.749 0 0 1 0 1.06l-4.25 4.25a.749.749 0 0 1-1.06 0L3.22 6.28a.749.749 0 1 1 1.06-1.06L8 8.939l3.72-3.719a.749.749 0 0 1 1.06 0Z"></path>
+                            </svg>
+                        </button>
+                        <h3 class="h5 mb-0" id="codeowners-health-title">CODEOWNERS health</h3>
+                        <span class="Counter ml-2" id="codeowners-health-count" hidden></span>
+                        <div class="tooltip-container">
+                            <span class="info-icon">
+                                <svg class="octicon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" width="16" height="16">
+                                    <path fill="currentColor" d="M8 1.5a6.5 6.5 0 100 13 6.5 6.5 0 000-13zM0 8a8 8 0 1116 0A8 8 0 010 8zm6.5-.25A.75.75 0 017.25 7h1a.75.75 0 01.75.75v2.75h.25a.75.75 0 010 1.5h-2a.75.75 0 010-1.5h.25v-2h-.25a.75.75 0 01-.75-.75zM8 6a1 1 0 100-2 1 1 0 000 2z"/>
+                                </svg>
+                            </span>
+                            <span class="tooltip">Problems in the CODEOWNERS file: invalid syntax or owners, duplicate patterns, rules that never apply and patterns that match no file</span>
+                        </div>
+                    </div>
+                    <ul id="codeowners-health-list" class="owners-list ${this.codeownersHealth?.expanded ? '' : 'collapsed'}">
+                        <li class="color-fg-muted">Checking...</li>
                     </ul>
                 </div>
             </div>
         `;
 
+        contentArea.querySelectorAll('.request-reviews-button').forEach(button => {
+            button.addEventListener('click', async () => {
+                button.disabled = true;
+                await this.requestReviews(JSON.parse(button.dataset.owners), button);
+                button.disabled = false;
+            });
+        });
+
+        // An open confirmation stays next to its set; it is cancelled only
+        // when the set is no longer listed
+        const pending = this.pendingReviewConfirmation;
+        if (pending) {
+            const button = Array.from(contentArea.querySelectorAll('.request-reviews-button'))
+                .find(candidate => candidate.dataset.owners === pending.owners);
+            if (button) {
+                button.closest('li').after(pending.element);
+            } else {
+                pending.finish(false);
+            }
+        }
+
+        // Load the next batch of combined sets
+        const showMoreButton = document.getElementById('show-more-combined-sets');
+        if (showMoreButton) {
+            showMoreButton.addEventListener('click', async () => {
+                showMoreButton.disabled = true;
+                const more = await this.analysis.moreCombinedSets();
+                if (!more || this.isDestroyed) return;
+
+                this.hasMoreCombinedSets = more.hasMore;
+                if (this.settings.rankByAvailability) {
+                    this.rankOwnerSets(more.combinedSets);
+                }
+                this.showResults(fullCoverageOwners, [...combinedSets, ...more.combinedSets], approvedReviewers, fileStats, remaining);
+            });
+        }
+
+        // Fill the Files section and re-render it when the view changes
+        const fileList = document.getElementById('file-list');
+        const fileFilter = document.getElementById('file-list-filter');
+        const fileGrouping = document.getElementById('file-list-group');
+        fileFilter.value = this.fileListView.filter;
+        fileGrouping.checked = this.fileListView.groupByDirectory;
+        this.renderFileList(fileList);
+
+        fileFilter.addEventListener('change', () => {
+            this.fileListView.filter = fileFilter.value;
+            this.renderFileList(fileList);
+        });
+        fileGrouping.addEventListener('change', () => {
+            this.fileListView.groupByDirectory = fileGrouping.checked;
+            this.renderFileList(fileList);
+        });
+
+        this.renderCodeownersImpact();
+        this.renderCodeownersHealth();
+
         // Update the status bar with simplified text
         const statusText = document.getElementById('status-text');
         // Only show "has owners" count if not all files have owners
-        const statusBarText = fileStats.withOwners < fileStats.total
+        const processedText = fileStats.withOwners < fileStats.total
             ? `Processed ${fileStats.total} files (${fileStats.withOwners} has owners)`
             : `Processed ${fileStats.total} files`;
+        // Name the CODEOWNERS file and ref the analysis is based on
+        const statusBarText = `${processedText} · ${this.describeCodeownersSource()}`;
         statusText.textContent = statusBarText;
+        statusText.title = statusBarText;
 
         // Add click handlers for section toggles and double-click for section titles
         contentArea.querySelectorAll('.js-section-toggle').forEach(button => {
@@ -1448,6 +2869,9 @@ class CodeOwnersAnalyzer {
         });
 
         // Helper function to toggle section visibility
+        const fileListView = this.fileListView;
+        const getCodeownersHealth = () => this.codeownersHealth;
+        const getCodeownersImpact = () => this.codeownersImpact;
         function toggleSection(targetList, icon) {
             if (targetList.classList.contains('collapsed')) {
                 targetList.classList.remove('collapsed');
@@ -1456,6 +2880,15 @@ class CodeOwnersAnalyzer {
                 targetList.classList.add('collapsed');
                 icon.style.transform = 'rotate(-90deg)';
             }
+
+            // The Files section stays open when the analysis re-runs
+            if (targetList.id === 'file-breakdown') {
+                fileListView.expanded = !targetList.classList.contains('collapsed');
+            } else if (targetList.id === 'codeowners-health-list' && getCodeownersHealth()) {
+                getCodeownersHealth().expanded = !targetList.classList.contains('collapsed');
+            } else if (targetList.id === 'codeowners-impact-list' && getCodeownersImpact()) {
+                getCodeownersImpact().expanded = !targetList.classList.contains('collapsed');
+            }
         }
 
         // Add tooltip functionality
@@ -1472,32 +2905,40 @@ class CodeOwnersAnalyzer {
         // Add hover handlers for owners to update the status bar
         const baseStatusText = statusBarText;
 
+        const describeStaleFiles = (owner) => {
+            const staleCount = this.getStaleApprovalFiles(owner).length;
+            return staleCount > 0 ? `, ${staleCount} changed since approval` : '';
+        };
+
         // Add hover handlers for individual owners
-        contentArea.querySelectorAll('.owners-list li a').forEach(ownerLink => {
+        contentArea.querySelectorAll('#full-coverage-list .owner-link').forEach(ownerLink => {
             const owner = ownerLink.textContent;
             const ownerFiles = this.getOwnerFiles(owner);
+            const ownerItem = ownerLink.closest('li');
+            const staleText = describeStaleFiles(owner);
 
-            ownerLink.parentElement.addEventListener('mouseenter', () => {
+            ownerItem.addEventListener('mouseenter', () => {
                 if (ownerFiles) {
-                    statusText.textContent = `${owner} owns ${ownerFiles.size}/${fileStats.withOwners} files with owners`;
+                    statusText.textContent = `${owner} owns ${ownerFiles.size}/${fileStats.withOwners} files with owners${staleText}`;
                 }
             });
 
-            ownerLink.parentElement.addEventListener('mouseleave', () => {
+            ownerItem.addEventListener('mouseleave', () => {
                 statusText.textContent = baseStatusText;
             });
         });
 
         // Add hover handlers for combined set owners
         contentArea.querySelectorAll('.combined-set .d-inline-flex').forEach(ownerElement => {
-            const ownerLink = ownerElement.querySelector('a');
+            const ownerLink = ownerElement.querySelector('.owner-link');
             if (ownerLink) {
                 const owner = ownerLink.textContent;
                 const ownerFiles = this.getOwnerFiles(owner);
+                const staleText = describeStaleFiles(owner);
 
                 ownerElement.addEventListener('mouseenter', () => {
                     if (ownerFiles) {
-                        statusText.textContent = `${owner} owns ${ownerFiles.size}/${fileStats.withOwners} files`;
+                        statusText.textContent = `${owner} owns ${ownerFiles.size}/${fileStats.withOwners} files${staleText}`;
                     }
                 });
 
@@ -1509,22 +2950,72 @@ class CodeOwnersAnalyzer {
     }
 
     async updateUI() {
+        if (this.isDestroyed) return;
         this.log('Updating UI...');
         const contentArea = document.getElementById('code-owners-content');
-        this.showLoading(contentArea);
+        // Cached results stay visible until they are replaced
+        if (!this.isShowingCachedResults) {
+            this.showLoading(contentArea);
+        }
 
         try {
-            // Get approved reviewers
-            const approvedReviewers = await this.getApprovedReviewers();
+            // Get each reviewer's latest review state; only current approvals count
+            this.reviewStates = await this.dataProvider.getReviewStates();
+            const approvedReviewers = new Set(Array.from(this.reviewStates)
+                .filter(([, state]) => state === REVIEW_STATES.APPROVED)
+                .map(([reviewer]) => reviewer));
+            this.approvedReviewers = approvedReviewers;
+
+            // Find files pushed after each approval to detect stale approvals
+            this.filesChangedSinceApproval = await this.dataProvider.getFilesChangedSinceApproval();
+
+            // Expand team owners so that member approvals count for the team
+            await this.resolveTeamOwners();
+
+            // Map email owners to the GitHub users that can approve
+            await this.resolveEmailOwners();
+
+            // Branch protection and rulesets of the base branch, for the merge checklist
+            if (!this.mergeRequirementsRequest) {
+                this.mergeRequirementsRequest = this.dataProvider.getMergeRequirements();
+            }
+            this.mergeRequirements = await this.mergeRequirementsRequest;
+
+            // Settings may have changed while the data was loading
+            if (this.isDestroyed) return;
 
             // Analyze ownership
-            const { fullCoverageOwners, combinedSets, fileStats } = this.analyzeOwnership();
+            const results = await this.analyzeOwnership();
+
+            // Replaced by a newer analysis, or torn down while analyzing
+            if (!results || this.isDestroyed) return;
+            const { fullCoverageOwners, combinedSets, remaining, fileStats } = results;
+
+            // Among otherwise equal sets, prefer reviewers who have time to review
+            if (this.settings.rankByAvailability) {
+                await this.resolveReviewerAvailability();
+                if (this.isDestroyed) return;
+                this.rankOwnerSets(combinedSets);
+                this.rankOwnerSets(remaining.reviewerSets);
+            }
 
             // Update UI with results
-            this.showResults(fullCoverageOwners, combinedSets, approvedReviewers, fileStats);
+            this.isShowingCachedResults = false;
+            this.showResults(fullCoverageOwners, combinedSets, approvedReviewers, fileStats, remaining);
+            this.saveCachedResults(results);
+
+            // Show each file's owners on its diff header as well
+            this.updateFileBadges();
+            this.observeFileHeaders();
+
+            // Lint CODEOWNERS and preview the effect of editing it in the background;
+            // the sections fill in when done
+            this.checkCodeownersHealth();
+            this.checkCodeownersImpact();
         } catch (error) {
             console.error('Error updating UI:', error);
             if (contentArea) {
+                this.pendingReviewConfirmation?.finish(false);
                 contentArea.innerHTML = `<div class="error-message">Error analyzing code owners: ${error.message}</div>`;
             }
         }
@@ -1555,16 +3046,40 @@ class CodeOwnersAnalyzer {
     }
 }
 
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// GitHub anchors each file's diff at #diff-<sha256 of the path>
+async function getDiffAnchor(filePath) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(filePath));
+    const hex = Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+    return `diff-${hex}`;
+}
+
+function removeFileBadges() {
+    document.querySelectorAll('.code-owners-file-badge').forEach(badge => badge.remove());
+}
+
 // Modify the removeUI function to only set the flag when explicitly called from the close button
 function removeUI(fromCloseButton = false) {
     const existingPanel = document.querySelector('.code-owners-panel');
     if (existingPanel) {
         existingPanel.remove();
     }
+    // Closing cancels a summary comment preview
+    document.querySelectorAll('.code-owners-dialog').forEach(dialog => dialog.close());
 
     // Only set the session flag when explicitly closed with the X button
     if (fromCloseButton) {
         sessionStorage.setItem('codeOwnersPanelClosed', 'true');
+        removeFileBadges();
     }
 }
 
@@ -1581,32 +3096,83 @@ window.addEventListener('load', clearSessionFlags);
 
 // Add a flag to track initialization
 let isInitializing = false;
+let settingsChangedDuringInitialization = false;
+let currentAnalyzer = null;
 
 // Initialize the analyzer
-async function initializeAnalyzer() {
+async function initializeAnalyzer({ fromSettingsChange = false } = {}) {
     // Prevent multiple simultaneous initializations
     if (isInitializing) {
         console.log('Initialization already in progress, skipping');
+        // Settings changes must not be lost, so re-run once the current run is done
+        if (fromSettingsChange) settingsChangedDuringInitialization = true;
         return;
     }
 
     isInitializing = true;
 
     try {
-        // Clear the session flag on extension initialization
-        if (document.readyState === 'complete') {
+        // Clear the session flag on extension initialization, but keep
+        // a closed panel closed when only the settings changed
+        if (document.readyState === 'complete' && !fromSettingsChange) {
             sessionStorage.removeItem('codeOwnersPanelClosed');
         }
 
+        if (currentAnalyzer) {
+            currentAnalyzer.destroy();
+        }
+
         const analyzer = new CodeOwnersAnalyzer();
+        currentAnalyzer = analyzer;
         await analyzer.initialize();
     } catch (error) {
         console.error('Error during initialization:', error);
     } finally {
         isInitializing = false;
+
+        if (settingsChangedDuringInitialization) {
+            settingsChangedDuringInitialization = false;
+            initializeAnalyzer({ fromSettingsChange: true });
+        }
     }
 }
 
+// Re-run the analysis as soon as settings change on the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const changedKeys = Object.keys(changes);
+    const settingsChanged = areaName === 'sync'
+        ? changedKeys.some(key => key in DEFAULT_SETTINGS)
+        : changedKeys.includes(TEAM_MAPPING_KEY);
+
+    if (settingsChanged && location.href.includes('/files')) {
+        debugLog('Settings changed, re-running analysis:', changedKeys);
+        initializeAnalyzer({ fromSettingsChange: true });
+    } else if (settingsChanged && isPullListPage()) {
+        initializePullList();
+    }
+});
+
+// The toolbar toggle tells open tabs to tear down or rebuild the panel
+chrome.runtime.onMessage.addListener(message => {
+    if (message.type !== 'toggleStateChanged') return;
+
+    if (!message.enabled) {
+        debugLog('Analyzer switched off from the toolbar');
+        destroyPullList();
+        if (currentAnalyzer) {
+            currentAnalyzer.destroy();
+            currentAnalyzer = null;
+        } else {
+            removeUI();
+        }
+    } else if (location.href.includes('/files')) {
+        debugLog('Analyzer switched on from the toolbar');
+        initializeAnalyzer();
+    } else if (isPullListPage()) {
+        initializePullList();
+    }
+});
+
 // Handle GitHub's navigation
 let lastUrl = location.href;
 let lastUrlWithoutFragment = location.href.split('#')[0];
@@ -1620,10 +3186,19 @@ async function handleUrlChange() {
         lastUrl = url;
         lastUrlWithoutFragment = urlWithoutFragment;
 
+        // A new filter or page of the pull request list shows other pull requests
+        destroyPullList();
+        if (isPullListPage()) {
+            initializePullList();
+        }
+
         if (url.includes('/files')) {
             // Wait for GitHub's content to load
             await new Promise(resolve => setTimeout(resolve, 1000));
             initializeAnalyzer();
+        } else if (currentAnalyzer) {
+            currentAnalyzer.destroy();
+            currentAnalyzer = null;
         } else {
             removeUI();
         }
@@ -1634,9 +3209,11 @@ async function handleUrlChange() {
 new MutationObserver(handleUrlChange).observe(document, { subtree: true, childList: true });
 document.addEventListener('turbo:render', handleUrlChange);
 
-// Initialize on page load if we're on the files tab
+// Initialize on page load if we're on the files tab or the pull request list
 if (location.href.includes('/files')) {
     initializeAnalyzer();
+} else if (isPullListPage()) {
+    initializePullList();
 }
 
 // Run on page load
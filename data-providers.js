@@ -0,0 +1,436 @@
+// Data providers supply the pull request data the analyzer needs. Every provider
+// implements the same async interface:
+//   getChangedFiles()       -> array of changed file paths
+//   getPRAuthor()           -> '@login' or null
+//   getPRState()            -> { state, isOpen, isClosed, isMerged, isDraft }
+//   getBaseRef()            -> base branch name or null
+//   getHeadSha()            -> SHA of the pull request's head commit or null
+//   getRepositoryFiles(ref) -> paths of every file in the repository at ref, or null
+//   getFile(ref, path, etag)
+//                           -> { content, etag } of a file at ref, null if it doesn't
+//                              exist, or { notModified: true } if it still matches etag
+//   getMergeRequirements()  -> review requirements of the base branch (see
+//                              GitHubApiDataProvider#getMergeRequirements), or null
+//   getReviewStates()       -> Map of '@login' to its REVIEW_STATES value (ownership-core.js)
+//   getFilesChangedSinceApproval()
+//                           -> Map of approving '@login' to the Set of files changed after
+//                              their latest approval (null if that can't be determined)
+//   requestReviewers({ users, teams })
+//                           -> requests reviews from logins (without @) and team slugs
+//   findComment(marker)     -> { id, url } of the first pull request comment of the
+//                              token's user containing marker, or null
+//   saveComment(body, id)   -> creates a pull request comment, or updates comment id;
+//                              returns { id, url }
+//   refresh()               -> drops cached data so the next calls see the current state
+// watchesDom tells the analyzer whether the file list has to be observed on the page,
+// canWrite whether requestReviewers, findComment and saveComment are supported.
+
+// Reduces chronological { reviewer, state } entries to each reviewer's latest
+// effective state. As on GitHub, a comment doesn't replace an earlier approval
+// or change request, while a later verdict or a dismissal does. Requested
+// reviewers without a verdict are pending.
+function reduceReviewStates(reviews, requestedReviewers = []) {
+    const states = new Map();
+
+    reviews.forEach(({ reviewer, state }) => {
+        const current = states.get(reviewer);
+        const hasVerdict = current === REVIEW_STATES.APPROVED || current === REVIEW_STATES.CHANGES_REQUESTED;
+
+        if (state === REVIEW_STATES.COMMENTED && hasVerdict) return;
+        if (state === REVIEW_STATES.PENDING && current) return;
+        states.set(reviewer, state);
+    });
+
+    requestedReviewers.forEach(reviewer => {
+        const current = states.get(reviewer);
+        if (!current || current === REVIEW_STATES.COMMENTED || current === REVIEW_STATES.DISMISSED) {
+            states.set(reviewer, REVIEW_STATES.PENDING);
+        }
+    });
+
+    return states;
+}
+
+// Reads pull request data by scraping the GitHub page
+class DomDataProvider {
+    constructor(analyzer) {
+        this.analyzer = analyzer;
+        this.watchesDom = true;
+        this.canWrite = false;
+    }
+
+    getChangedFiles() {
+        return this.analyzer.scrapeChangedFiles();
+    }
+
+    getPRAuthor() {
+        return this.analyzer.scrapePRAuthor();
+    }
+
+    getPRState() {
+        return this.analyzer.scrapePRState();
+    }
+
+    async getBaseRef() {
+        return this.analyzer.scrapePRBaseRef();
+    }
+
+    async getHeadSha() {
+        return null;
+    }
+
+    // The page only shows the changed files
+    async getRepositoryFiles() {
+        this.analyzer.log('Listing repository files requires the GitHub API data provider');
+        return null;
+    }
+
+    // Raw files carry no usable ETag, so cached copies are compared by content
+    async getFile(ref, path) {
+        const content = await this.analyzer.fetchRepositoryFile(ref, path);
+        return content === null ? null : { content, etag: null };
+    }
+
+    async getMergeRequirements() {
+        this.analyzer.log('Reading branch protection requires the GitHub API data provider');
+        return null;
+    }
+
+    getReviewStates() {
+        return this.analyzer.scrapeReviewStates();
+    }
+
+    // The page doesn't reliably tell which commit a review approved
+    async getFilesChangedSinceApproval() {
+        this.analyzer.log('Stale approval detection requires the GitHub API data provider');
+        return new Map();
+    }
+
+    async requestReviewers() {
+        throw new Error('Requesting reviewers requires a GitHub API token');
+    }
+
+    async findComment() {
+        return null;
+    }
+
+    async saveComment() {
+        throw new Error('Publishing comments requires a GitHub API token');
+    }
+
+    // Every call scrapes the page again
+    refresh() {}
+}
+
+// Reads pull request data from the GitHub REST API. Each call falls back to
+// the given provider if the API request fails (e.g. the token lacks access);
+// without a fallback provider the error is thrown.
+class GitHubApiDataProvider {
+    constructor({ client, owner, repo, pullNumber, fallback, log = () => {} }) {
+        this.client = client;
+        this.owner = owner;
+        this.repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+        this.pullNumber = pullNumber;
+        this.fallback = fallback;
+        this.log = log;
+        this.watchesDom = false;
+        this.canWrite = true;
+        this._pullRequest = null;
+        this._reviews = null;
+    }
+
+    async withFallback(name, request, args = []) {
+        try {
+            return await request();
+        } catch (error) {
+            if (!this.fallback) throw error;
+            console.error(`GitHub API ${name} failed, falling back to page scraping:`, error);
+            return this.fallback[name](...args);
+        }
+    }
+
+    getPullRequest() {
+        if (!this._pullRequest) {
+            this._pullRequest = this.client.request(`${this.repoPath}/pulls/${this.pullNumber}`);
+            // Don't cache failures so a later call can retry
+            this._pullRequest.catch(() => { this._pullRequest = null; });
+        }
+        return this._pullRequest;
+    }
+
+    getReviews() {
+        if (!this._reviews) {
+            this._reviews = this.client.requestPages(`${this.repoPath}/pulls/${this.pullNumber}/reviews?per_page=100`);
+            this._reviews.catch(() => { this._reviews = null; });
+        }
+        return this._reviews;
+    }
+
+    getChangedFiles() {
+        return this.withFallback('getChangedFiles', async () => {
+            const files = await this.client.requestPages(`${this.repoPath}/pulls/${this.pullNumber}/files?per_page=100`);
+            this.log(`Fetched ${files.length} changed files from the API`);
+            return files.map(file => file.filename);
+        });
+    }
+
+    getPRAuthor() {
+        return this.withFallback('getPRAuthor', async () => {
+            const pullRequest = await this.getPullRequest();
+            return '@' + pullRequest.user.login;
+        });
+    }
+
+    getPRState() {
+        return this.withFallback('getPRState', async () => {
+            const pullRequest = await this.getPullRequest();
+            const isMerged = !!pullRequest.merged_at;
+            const isClosed = pullRequest.state === 'closed';
+            return {
+                state: isMerged ? 'merged' : pullRequest.state,
+                isOpen: pullRequest.state === 'open',
+                isClosed,
+                isMerged,
+                isDraft: pullRequest.draft === true
+            };
+        });
+    }
+
+    getBaseRef() {
+        return this.withFallback('getBaseRef', async () => {
+            const pullRequest = await this.getPullRequest();
+            return pullRequest.base.ref;
+        });
+    }
+
+    getHeadSha() {
+        return this.withFallback('getHeadSha', async () => {
+            const pullRequest = await this.getPullRequest();
+            return pullRequest.head.sha;
+        });
+    }
+
+    getRepositoryFiles(ref) {
+        return this.withFallback('getRepositoryFiles', async () => {
+            const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+            const tree = await this.client.request(`${this.repoPath}/git/trees/${encodedRef}?recursive=1`);
+            // Trees beyond GitHub's response limit come back incomplete
+            if (tree.truncated) {
+                this.log(`The file tree of ${ref} is truncated, not using it`);
+                return null;
+            }
+            return tree.tree.filter(entry => entry.type === 'blob').map(entry => entry.path);
+        });
+    }
+
+    // Works for private repositories, and the ETag lets callers revalidate a cached copy
+    getFile(ref, path, etag = null) {
+        return this.withFallback('getFile', async () => {
+            const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+            const headers = { Accept: 'application/vnd.github.raw+json' };
+            if (etag) headers['If-None-Match'] = etag;
+            try {
+                const response = await this.client.fetch(`${this.repoPath}/contents/${encodedPath}?ref=${encodeURIComponent(ref)}`, { headers });
+                if (response.status === 304) return { notModified: true };
+                return { content: await response.text(), etag: response.headers.get('ETag') };
+            } catch (error) {
+                if (error.status === 404) return null;
+                throw error;
+            }
+        }, [ref, path]);
+    }
+
+    // Review requirements of the base branch, combined from its rulesets and its
+    // classic branch protection, the strictest setting winning:
+    //   { requireCodeOwnerReview, requiredApprovingReviewCount, dismissStaleReviews,
+    //     branch, sources, unreadable }
+    // sources and unreadable name the settings that could and couldn't be read.
+    // null if neither could be read.
+    getMergeRequirements() {
+        return this.withFallback('getMergeRequirements', async () => {
+            const branch = await this.getBaseRef();
+            const encodedBranch = branch.split('/').map(encodeURIComponent).join('/');
+            const requirements = {
+                requireCodeOwnerReview: false,
+                requiredApprovingReviewCount: 0,
+                dismissStaleReviews: false,
+                branch,
+                sources: [],
+                unreadable: []
+            };
+            const addRequirements = ({ codeOwners, approvals, dismissStale }) => {
+                requirements.requireCodeOwnerReview = requirements.requireCodeOwnerReview || !!codeOwners;
+                requirements.requiredApprovingReviewCount = Math.max(requirements.requiredApprovingReviewCount, approvals || 0);
+                requirements.dismissStaleReviews = requirements.dismissStaleReviews || !!dismissStale;
+            };
+
+            // Active rules apply to anyone with read access to the repository
+            try {
+                const rules = await this.client.requestPages(`${this.repoPath}/rules/branches/${encodedBranch}?per_page=100`);
+                rules.filter(rule => rule.type === 'pull_request').forEach(({ parameters = {} }) => addRequirements({
+                    codeOwners: parameters.require_code_owner_review,
+                    approvals: parameters.required_approving_review_count,
+                    dismissStale: parameters.dismiss_stale_reviews_on_push
+                }));
+                requirements.sources.push('rulesets');
+            } catch (error) {
+                this.log('Could not read rulesets:', error.message);
+                requirements.unreadable.push('rulesets');
+            }
+
+            // Reading classic protection needs admin access. It answers 404 both
+            // without protection and without access; the branch tells which.
+            try {
+                const reviews = await this.client.request(`${this.repoPath}/branches/${encodedBranch}/protection/required_pull_request_reviews`);
+                addRequirements({
+                    codeOwners: reviews.require_code_owner_reviews,
+                    approvals: reviews.required_approving_review_count,
+                    dismissStale: reviews.dismiss_stale_reviews
+                });
+                requirements.sources.push('branch protection');
+            } catch (error) {
+                if (error.status === 404 && !await this.isBranchProtected(encodedBranch)) {
+                    requirements.sources.push('branch protection');
+                } else {
+                    this.log('Could not read branch protection:', error.message);
+                    requirements.unreadable.push('branch protection');
+                }
+            }
+
+            this.log('Merge requirements:', requirements);
+            return requirements.sources.length > 0 ? requirements : null;
+        });
+    }
+
+    // Anyone with read access sees whether a branch is protected. A failed
+    // request counts as protected, so its rules are reported as unreadable.
+    async isBranchProtected(encodedBranch) {
+        try {
+            const branch = await this.client.request(`${this.repoPath}/branches/${encodedBranch}`);
+            return branch.protected !== false;
+        } catch (error) {
+            this.log('Could not read branch:', error.message);
+            return true;
+        }
+    }
+
+    getReviewStates() {
+        return this.withFallback('getReviewStates', async () => {
+            const [pullRequest, reviews] = await Promise.all([this.getPullRequest(), this.getReviews()]);
+            this.log(`Fetched ${reviews.length} reviews from the API`);
+
+            // Reviews are returned in chronological order
+            const reviewEntries = reviews
+                .filter(review => review.user)
+                .map(review => ({ reviewer: '@' + review.user.login, state: review.state.toLowerCase() }));
+
+            const requestedReviewers = [
+                ...(pullRequest.requested_reviewers || []).map(user => '@' + user.login),
+                ...(pullRequest.requested_teams || []).map(team => `@${this.owner}/${team.slug}`)
+            ];
+
+            return reduceReviewStates(reviewEntries, requestedReviewers);
+        });
+    }
+
+    getFilesChangedSinceApproval() {
+        return this.withFallback('getFilesChangedSinceApproval', async () => {
+            const [pullRequest, reviews] = await Promise.all([this.getPullRequest(), this.getReviews()]);
+            const headSha = pullRequest.head.sha;
+
+            // Commit of each reviewer's latest approval
+            const approvalCommits = new Map();
+            reviews.forEach(review => {
+                if (review.user && review.state === 'APPROVED') {
+                    approvalCommits.set('@' + review.user.login, review.commit_id);
+                }
+            });
+
+            // Reviewers who approved the same commit share one comparison
+            const filesByCommit = new Map();
+            const changedSinceApproval = new Map();
+            for (const [reviewer, commitId] of approvalCommits) {
+                if (commitId === headSha) {
+                    changedSinceApproval.set(reviewer, new Set());
+                    continue;
+                }
+                if (!filesByCommit.has(commitId)) {
+                    filesByCommit.set(commitId, await this.getFilesChangedBetween(commitId, headSha));
+                }
+                changedSinceApproval.set(reviewer, filesByCommit.get(commitId));
+            }
+
+            this.log('Files changed since approval:', Object.fromEntries(
+                Array.from(changedSinceApproval).map(([reviewer, files]) => [reviewer, files && Array.from(files)])
+            ));
+            return changedSinceApproval;
+        });
+    }
+
+    // No fallback: the page can't request reviewers
+    async requestReviewers({ users = [], teams = [] }) {
+        await this.client.request(`${this.repoPath}/pulls/${this.pullNumber}/requested_reviewers`, {
+            method: 'POST',
+            body: { reviewers: users, team_reviewers: teams }
+        });
+        this.log('Requested reviews from', { users, teams });
+    }
+
+    // Pull request comments are issue comments in the REST API. Only our own
+    // comments count: someone else's, e.g. quoting the marker, can't be edited.
+    async findComment(marker) {
+        const [user, comments] = await Promise.all([
+            this.client.getAuthenticatedUser(),
+            this.client.requestPages(`${this.repoPath}/issues/${this.pullNumber}/comments?per_page=100`)
+        ]);
+        const comment = comments.find(candidate =>
+            candidate.user?.login === user.login && candidate.body && candidate.body.includes(marker));
+        return comment ? { id: comment.id, url: comment.html_url } : null;
+    }
+
+    async saveComment(body, commentId = null) {
+        const comment = commentId
+            ? await this.client.request(`${this.repoPath}/issues/comments/${commentId}`, { method: 'PATCH', body: { body } })
+            : await this.client.request(`${this.repoPath}/issues/${this.pullNumber}/comments`, { method: 'POST', body: { body } });
+        this.log(`${commentId ? 'Updated' : 'Posted'} comment`, comment.html_url);
+        return { id: comment.id, url: comment.html_url };
+    }
+
+    refresh() {
+        this._pullRequest = null;
+        this._reviews = null;
+    }
+
+    async getFilesChangedBetween(baseSha, headSha) {
+        try {
+            const comparison = await this.client.request(`${this.repoPath}/compare/${baseSha}...${headSha}`);
+            return new Set((comparison.files || []).map(file => file.filename));
+        } catch (error) {
+            // The approved commit may be gone after a force push
+            this.log(`Could not compare ${baseSha}...${headSha}:`, error.message);
+            return null;
+        }
+    }
+}
+
+// Uses the API when a token is configured and page scraping otherwise
+function createDataProvider(analyzer) {
+    const domProvider = new DomDataProvider(analyzer);
+    const [, owner, repo] = window.location.pathname.split('/');
+    const pullNumber = window.location.pathname.match(/\/pull\/(\d+)/)?.[1];
+
+    if (!analyzer.apiClient || !pullNumber) {
+        analyzer.log('Using page scraping data provider');
+        return domProvider;
+    }
+
+    analyzer.log('Using GitHub API data provider');
+    return new GitHubApiDataProvider({
+        client: analyzer.apiClient,
+        owner,
+        repo,
+        pullNumber,
+        fallback: domProvider,
+        log: (...args) => analyzer.log(...args)
+    });
+}
@@ -0,0 +1,104 @@
+// github.com serves its API from a separate host, GitHub Enterprise Server under /api/v3
+function getDefaultApiBaseUrl(origin) {
+    return origin === 'https://github.com' ? 'https://api.github.com' : `${origin}/api/v3`;
+}
+
+// Minimal GitHub REST API client shared by the analyzer and the data providers.
+// The base URL is configurable so the extension can be pointed at a local mock API.
+class GitHubApiClient {
+    constructor({ baseUrl, token }) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.token = token;
+        this.authenticatedUser = null;
+    }
+
+    getHeaders() {
+        return {
+            'Accept': 'application/vnd.github+json',
+            'Authorization': `Bearer ${this.token}`
+        };
+    }
+
+    // Accepts a path relative to the base URL or an absolute URL (used for Link headers)
+    resolveUrl(pathOrUrl) {
+        return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${this.baseUrl}${pathOrUrl}`;
+    }
+
+    // Bodies are sent as JSON
+    async fetch(pathOrUrl, { method = 'GET', body, headers = {} } = {}) {
+        const url = this.resolveUrl(pathOrUrl);
+        const options = { method, headers: { ...this.getHeaders(), ...headers } };
+        if (body !== undefined) {
+            options.headers['Content-Type'] = 'application/json';
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(url, options);
+        // 304 answers a conditional request (If-None-Match): the cached copy is current
+        if (!response.ok && response.status !== 304) {
+            // The status lets callers tell e.g. a missing resource (404) from missing access (403)
+            const error = new Error(`GitHub API ${method} request to ${url} failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    async request(path, options) {
+        const response = await this.fetch(path, options);
+        return response.json();
+    }
+
+    // GraphQL is served at /graphql on api.github.com and /api/graphql on GitHub Enterprise Server
+    getGraphQLUrl() {
+        return this.baseUrl.endsWith('/api/v3')
+            ? this.baseUrl.replace(/\/v3$/, '/graphql')
+            : `${this.baseUrl}/graphql`;
+    }
+
+    // Returns the response data. Fields that failed on their own (e.g. an
+    // unknown user) are null rather than failing the whole request.
+    async graphql(query) {
+        const url = this.getGraphQLUrl();
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { ...this.getHeaders(), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ query })
+        });
+        if (!response.ok) {
+            throw new Error(`GitHub GraphQL request to ${url} failed with status ${response.status}`);
+        }
+
+        const { data, errors } = await response.json();
+        if (!data) {
+            throw new Error(`GitHub GraphQL request to ${url} failed: ${errors?.[0]?.message || 'no data'}`);
+        }
+        return data;
+    }
+
+    // The user the token belongs to, requested once
+    getAuthenticatedUser() {
+        if (!this.authenticatedUser) {
+            this.authenticatedUser = this.request('/user');
+            // Don't cache failures so a later call can retry
+            this.authenticatedUser.catch(() => { this.authenticatedUser = null; });
+        }
+        return this.authenticatedUser;
+    }
+
+    // Follows rel="next" links and concatenates every page of a list endpoint
+    async requestPages(path) {
+        const results = [];
+        let nextUrl = path;
+
+        while (nextUrl) {
+            const response = await this.fetch(nextUrl);
+            results.push(...await response.json());
+
+            const nextLink = response.headers.get('Link')?.match(/<([^>]+)>;\s*rel="next"/);
+            nextUrl = nextLink ? nextLink[1] : null;
+        }
+
+        return results;
+    }
+}
@@ -0,0 +1,169 @@
+const inputs = {
+    maxCombinationSize: document.getElementById('max-combination-size'),
+    maxCombinationsToShow: document.getElementById('max-combinations-to-show'),
+    ignoredOwners: document.getElementById('ignored-owners'),
+    rankByAvailability: document.getElementById('rank-by-availability'),
+    outOfOfficeReviewers: document.getElementById('out-of-office-reviewers'),
+    enabledOrganizations: document.getElementById('enabled-organizations'),
+    enabledRepositories: document.getElementById('enabled-repositories'),
+    panelCollapsed: document.getElementById('panel-collapsed'),
+    pullListBadges: document.getElementById('pull-list-badges'),
+    debugMode: document.getElementById('debug-mode'),
+    githubToken: document.getElementById('github-token'),
+    apiBaseUrl: document.getElementById('api-base-url'),
+    emailAliases: document.getElementById('email-aliases'),
+    emailLookupViaApi: document.getElementById('email-lookup-via-api'),
+    summaryCommentRepositories: document.getElementById('summary-comment-repositories')
+};
+const mappingFileInput = document.getElementById('team-mapping-file');
+const mappingStatus = document.getElementById('team-mapping-status');
+const statusText = document.getElementById('status');
+
+function showStatus(message, isError = false) {
+    statusText.classList.toggle('error', isError);
+    statusText.textContent = message;
+    if (!isError) {
+        setTimeout(() => { statusText.textContent = ''; }, 1500);
+    }
+}
+
+function showMappingStatus(teamMapping) {
+    const teamCount = Object.keys(teamMapping).length;
+    mappingStatus.classList.remove('error');
+    mappingStatus.textContent = teamCount
+        ? `${teamCount} teams imported`
+        : 'No team mapping imported';
+}
+
+// Normalize the imported file to { "@org/team": ["@member", "@org/child-team"] }
+function normalizeTeamMapping(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The mapping must be a JSON object of team names to member lists');
+    }
+
+    const withAt = name => name.startsWith('@') ? name : '@' + name;
+    const teamMapping = {};
+    Object.entries(data).forEach(([team, members]) => {
+        if (!Array.isArray(members) || members.some(member => typeof member !== 'string')) {
+            throw new Error(`Members of ${team} must be a list of names`);
+        }
+        teamMapping[withAt(team.trim()).toLowerCase()] = members.map(member => withAt(member.trim()));
+    });
+    return teamMapping;
+}
+
+// Parse "email @login" lines into { "email": "@login" }
+function parseEmailAliases(text) {
+    const emailAliases = {};
+    text.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+
+        const [email, login, ...rest] = line.trim().split(/\s+/);
+        if (!email.includes('@') || !login || rest.length > 0) {
+            throw new Error(`Email owners line ${index + 1} must be "email @login"`);
+        }
+        emailAliases[email.toLowerCase()] = login.startsWith('@') ? login : '@' + login;
+    });
+    return emailAliases;
+}
+
+function formatEmailAliases(emailAliases) {
+    return Object.entries(emailAliases)
+        .map(([email, login]) => `${email} ${login}`)
+        .join('\n');
+}
+
+function parseLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function parseNumber(input, min, max) {
+    const value = parseInt(input.value, 10);
+    if (Number.isNaN(value) || value < min || value > max) {
+        throw new Error(`${input.labels[0].textContent} must be between ${min} and ${max}`);
+    }
+    return value;
+}
+
+async function restoreOptions() {
+    const settings = await loadExtensionSettings();
+
+    inputs.maxCombinationSize.value = settings.maxCombinationSize;
+    inputs.maxCombinationsToShow.value = settings.maxCombinationsToShow;
+    inputs.ignoredOwners.value = settings.ignoredOwners.join('\n');
+    inputs.rankByAvailability.checked = settings.rankByAvailability;
+    inputs.outOfOfficeReviewers.value = settings.outOfOfficeReviewers.join('\n');
+    inputs.enabledOrganizations.value = settings.enabledOrganizations.join('\n');
+    inputs.enabledRepositories.value = settings.enabledRepositories.join('\n');
+    inputs.panelCollapsed.checked = settings.panelCollapsed;
+    inputs.pullListBadges.checked = settings.pullListBadges;
+    inputs.debugMode.checked = settings.debugMode;
+    inputs.githubToken.value = settings.githubToken;
+    inputs.apiBaseUrl.value = settings.apiBaseUrl;
+    inputs.emailAliases.value = formatEmailAliases(settings.emailAliases);
+    inputs.emailLookupViaApi.checked = settings.emailLookupViaApi;
+    inputs.summaryCommentRepositories.value = settings.summaryCommentRepositories.join('\n');
+    showMappingStatus(settings.teamMapping);
+}
+
+async function saveOptions() {
+    let settings;
+    try {
+        settings = {
+            maxCombinationSize: parseNumber(inputs.maxCombinationSize, 2, 10),
+            maxCombinationsToShow: parseNumber(inputs.maxCombinationsToShow, 1, 100),
+            ignoredOwners: parseLines(inputs.ignoredOwners.value),
+            rankByAvailability: inputs.rankByAvailability.checked,
+            outOfOfficeReviewers: parseLines(inputs.outOfOfficeReviewers.value)
+                .map(login => login.startsWith('@') ? login : '@' + login),
+            enabledOrganizations: parseLines(inputs.enabledOrganizations.value),
+            enabledRepositories: parseLines(inputs.enabledRepositories.value),
+            panelCollapsed: inputs.panelCollapsed.checked,
+            pullListBadges: inputs.pullListBadges.checked,
+            debugMode: inputs.debugMode.checked,
+            githubToken: inputs.githubToken.value.trim(),
+            apiBaseUrl: inputs.apiBaseUrl.value.trim(),
+            emailAliases: parseEmailAliases(inputs.emailAliases.value),
+            emailLookupViaApi: inputs.emailLookupViaApi.checked,
+            summaryCommentRepositories: parseLines(inputs.summaryCommentRepositories.value)
+        };
+    } catch (error) {
+        showStatus(error.message, true);
+        return;
+    }
+
+    // Must run before anything else is awaited to keep the user gesture
+    const origins = getRequiredOrigins(settings);
+    const granted = await chrome.permissions.request({ origins });
+
+    await chrome.storage.sync.set(settings);
+    if (granted) {
+        showStatus('Saved');
+    } else {
+        showStatus(`Saved, but access to ${origins.join(', ')} was not granted. The analyzer won't run there.`, true);
+    }
+}
+
+mappingFileInput.addEventListener('change', async () => {
+    const file = mappingFileInput.files[0];
+    if (!file) return;
+
+    try {
+        const teamMapping = normalizeTeamMapping(JSON.parse(await file.text()));
+        await chrome.storage.local.set({ [TEAM_MAPPING_KEY]: teamMapping });
+        showMappingStatus(teamMapping);
+    } catch (error) {
+        mappingStatus.classList.add('error');
+        mappingStatus.textContent = `Could not import ${file.name}: ${error.message}`;
+    } finally {
+        mappingFileInput.value = '';
+    }
+});
+
+document.getElementById('clear-team-mapping').addEventListener('click', async () => {
+    await chrome.storage.local.remove(TEAM_MAPPING_KEY);
+    showMappingStatus({});
+});
+
+document.getElementById('save').addEventListener('click', saveOptions);
+document.addEventListener('DOMContentLoaded', restoreOptions);
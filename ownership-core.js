@@ -0,0 +1,611 @@
+// Ownership analysis without DOM access: CODEOWNERS parsing, matching changed
+// files to their owners and finding who can approve them. It runs in a Web
+// Worker (analysis-worker.js) so large pull requests don't block GitHub's UI
+// thread, in the content script when no worker is available, and in Node.js
+// for the command line (cli.js). Keep it free of DOM and extension APIs.
+
+const REVIEW_STATES = {
+    APPROVED: 'approved',
+    CHANGES_REQUESTED: 'changes_requested',
+    COMMENTED: 'commented',
+    DISMISSED: 'dismissed',
+    PENDING: 'pending'
+};
+
+// Files matched per step; the analysis yields to the event loop in between so
+// it can be cancelled and can report progress
+const ANALYSIS_BATCH_SIZE = 200;
+
+/**
+ * Splits a CODEOWNERS line into its pattern and owners.
+ * Returns null for blank lines and comments. Backslash escapes are kept in the
+ * pattern (so `\ ` and `\#` survive) and resolved by compileCodeownersPattern.
+ * An unescaped `#` starting a token begins a trailing comment.
+ */
+function parseCodeownersLine(line) {
+    const trimmed = line.replace(/\r$/, '').trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+
+    const tokens = [];
+    let current = '';
+    for (let i = 0; i < trimmed.length; i++) {
+        const char = trimmed[i];
+        if (char === '\\' && i + 1 < trimmed.length) {
+            current += char + trimmed[++i];
+        } else if (/\s/.test(char)) {
+            if (current) tokens.push(current);
+            current = '';
+        } else if (char === '#' && !current) {
+            break;
+        } else {
+            current += char;
+        }
+    }
+    if (current && !current.startsWith('#')) tokens.push(current);
+
+    const [pattern, ...owners] = tokens;
+    return pattern ? { pattern, owners } : null;
+}
+
+/**
+ * Converts a CODEOWNERS pattern into a RegExp tested against repository-relative
+ * file paths, following GitHub's gitignore-style rules:
+ *  - a `/` at the start or in the middle anchors the pattern to the repository root,
+ *    otherwise it matches at any depth (`apps/` matches `apps/x` and `lib/apps/x`)
+ *  - a trailing `/` only matches directories, i.e. the files beneath them
+ *  - a pattern that names a directory owns everything beneath it (`/docs` owns `docs/a/b.md`)
+ *  - `*` and `?` never cross `/`; `docs/*` owns `docs/a.md` but not `docs/b/c.md`
+ *  - `**` matches any number of directories as a leading, middle or trailing segment
+ *  - `\` escapes (`\ `, `\*`)
+ * GitHub ignores rules using negation (`!`), character ranges (`[a-z]`) or an
+ * escaped leading `#`, so these throw and the rule is skipped.
+ */
+function compileCodeownersPattern(pattern) {
+    if (!pattern) {
+        throw new Error('Empty pattern');
+    }
+    if (pattern.startsWith('!')) {
+        throw new Error('Negated patterns are not supported in CODEOWNERS');
+    }
+    if (pattern.startsWith('\\#')) {
+        throw new Error('Escaping a leading # is not supported by GitHub; the line is ignored');
+    }
+
+    let body = pattern;
+    const directoryOnly = body.endsWith('/') && !body.endsWith('\\/');
+    if (directoryOnly) body = body.slice(0, -1);
+
+    const anchored = body.includes('/');
+    body = body.replace(/^\//, '');
+    if (!body) {
+        throw new Error('Pattern does not match any path');
+    }
+
+    const segments = body.split('/');
+    const lastIndex = segments.length - 1;
+    let source = anchored ? '^' : '^(?:.*/)?';
+
+    segments.forEach((segment, i) => {
+        if (segment === '**') {
+            if (i === 0 && i === lastIndex) {
+                source += '.+';
+            } else if (i === 0) {
+                source += '(?:.+/)?';
+            } else if (i === lastIndex) {
+                source += '/.+';
+            } else {
+                source += '(?:/.+)?';
+            }
+            return;
+        }
+
+        // A leading ** already ends with a separator
+        if (i > 0 && !(i === 1 && segments[0] === '**')) {
+            source += '/';
+        }
+        source += codeownersSegmentToRegex(segment);
+    });
+
+    if (directoryOnly) {
+        source += '/';
+    } else if (segments.length > 1 && segments[lastIndex] === '*') {
+        // GitHub deviates from gitignore here: `docs/*` only owns direct children
+        source += '$';
+    } else {
+        source += '(?:/|$)';
+    }
+
+    return new RegExp(source);
+}
+
+// Converts one path segment (no `/`) of a CODEOWNERS pattern to regex source
+function codeownersSegmentToRegex(segment) {
+    const escapeRegex = char => char.replace(/[.*+?^${}()|[\]\\\/-]/g, '\\$&');
+    let source = '';
+
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+
+        if (char === '\\') {
+            if (i + 1 < segment.length) source += escapeRegex(segment[++i]);
+            continue;
+        }
+        if (char === '*') {
+            source += '[^/]*';
+            continue;
+        }
+        if (char === '?') {
+            source += '[^/]';
+            continue;
+        }
+        // A `[` without a closing `]` is a literal character
+        if (char === '[' && findCharacterClassEnd(segment, i) !== -1) {
+            throw new Error('Character ranges ([...]) are not supported by GitHub');
+        }
+
+        source += escapeRegex(char);
+    }
+
+    return source;
+}
+
+// Returns the index of the `]` closing the class opened at `start`, or -1
+function findCharacterClassEnd(segment, start) {
+    let i = start + 1;
+    if (segment[i] === '!' || segment[i] === '^') i++;
+    // A `]` right after the opening bracket is a literal member
+    if (segment[i] === ']') i++;
+
+    for (; i < segment.length; i++) {
+        if (segment[i] === '\\') {
+            i++;
+        } else if (segment[i] === ']') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Parses CODEOWNERS content into rules, in file order. Lines with an invalid
+// pattern are skipped and reported in `errors`.
+function parseCodeownersRules(content) {
+    const rules = [];
+    const errors = [];
+
+    content.split('\n').forEach((line, index) => {
+        const parsedLine = parseCodeownersLine(line);
+        if (!parsedLine) return;
+
+        const { pattern, owners } = parsedLine;
+        try {
+            // Rules keep file order so that the last matching rule can win.
+            // A rule without owners is kept too: it clears ownership for its paths.
+            rules.push({ pattern, owners, lineNumber: index + 1, regex: compileCodeownersPattern(pattern) });
+        } catch (error) {
+            errors.push({ lineNumber: index + 1, pattern, message: error.message });
+        }
+    });
+
+    return { rules, errors };
+}
+
+// GitHub's algorithm: the last matching rule in the CODEOWNERS file wins
+function findMatchingRule(rules, filePath) {
+    for (let i = rules.length - 1; i >= 0; i--) {
+        if (rules[i].regex.test(filePath)) return rules[i];
+    }
+    return null;
+}
+
+// Owner references GitHub accepts in CODEOWNERS: @user, @org/team and emails
+const CODEOWNERS_OWNER_PATTERNS = [
+    /^@[A-Za-z0-9](?:-?[A-Za-z0-9])*$/,
+    /^@[A-Za-z0-9](?:-?[A-Za-z0-9])*\/[A-Za-z0-9][A-Za-z0-9._-]*$/,
+    /^[^@\s]+@[^@\s]+\.[^@\s]+$/
+];
+
+// Patterns that match every path; earlier rules can never apply
+const CATCH_ALL_PATTERNS = ['*', '**', '/*', '/**', '**/*'];
+
+/**
+ * Lints CODEOWNERS content. Reports invalid and unsupported syntax, invalid
+ * owners, duplicate patterns and rules shadowed by later rules. With the paths
+ * of the repository tree, shadowing is exact and patterns matching no file are
+ * reported too; without them only catch-all patterns count as shadowing.
+ * @param {string} content
+ * @param {string[]|null} repositoryFiles
+ * @returns {Promise<{ lineNumber: number, severity: 'error'|'warning', message: string }[]>}
+ */
+async function lintCodeowners(content, repositoryFiles = null) {
+    const { rules, errors } = parseCodeownersRules(content || '');
+    const findings = errors.map(({ lineNumber, pattern, message }) => ({
+        lineNumber,
+        severity: 'error',
+        message: `Invalid pattern ${pattern}: ${message}`
+    }));
+    const report = (rule, severity, message) => findings.push({ lineNumber: rule.lineNumber, severity, message });
+
+    rules.forEach(rule => {
+        rule.owners
+            .filter(owner => !CODEOWNERS_OWNER_PATTERNS.some(ownerPattern => ownerPattern.test(owner)))
+            .forEach(owner => report(rule, 'error', `${owner} is not a valid user, team or email`));
+    });
+
+    // Only the last rule with a pattern is ever used
+    const lastLineByPattern = new Map(rules.map(rule => [rule.pattern, rule.lineNumber]));
+    const duplicates = new Set(rules.filter(rule => lastLineByPattern.get(rule.pattern) !== rule.lineNumber));
+    duplicates.forEach(rule => {
+        report(rule, 'warning', `Duplicate pattern, overridden by line ${lastLineByPattern.get(rule.pattern)}`);
+    });
+    const candidates = rules.filter(rule => !duplicates.has(rule));
+
+    if (repositoryFiles) {
+        // Lines of the rules that win for the files each rule matches
+        const winningLines = new Map(candidates.map(rule => [rule, new Set()]));
+        for (let i = 0; i < repositoryFiles.length; i++) {
+            let winner = null;
+            for (let j = candidates.length - 1; j >= 0; j--) {
+                const rule = candidates[j];
+                if (!rule.regex.test(repositoryFiles[i])) continue;
+                winner = winner || rule;
+                winningLines.get(rule).add(winner.lineNumber);
+            }
+            if ((i + 1) % ANALYSIS_BATCH_SIZE === 0) await yieldToEventLoop();
+        }
+
+        candidates.forEach(rule => {
+            const lines = winningLines.get(rule);
+            if (lines.size === 0) {
+                report(rule, 'warning', 'Pattern matches no file in the repository');
+            } else if (!lines.has(rule.lineNumber)) {
+                const overriding = Array.from(lines).sort((a, b) => a - b).join(', ');
+                report(rule, 'warning', `Never applies: every file it matches is owned by line${lines.size === 1 ? '' : 's'} ${overriding}`);
+            }
+        });
+    } else {
+        const catchAll = candidates.filter(rule => CATCH_ALL_PATTERNS.includes(rule.pattern)).pop();
+        candidates
+            .filter(rule => catchAll && rule.lineNumber < catchAll.lineNumber)
+            .forEach(rule => report(rule, 'warning', `Never applies: ${catchAll.pattern} on line ${catchAll.lineNumber} owns every file`));
+    }
+
+    return findings.sort((a, b) => a.lineNumber - b.lineNumber);
+}
+
+/**
+ * Compares who owns each file under two versions of CODEOWNERS, e.g. the base
+ * and head branch versions of a pull request that edits it. Returns the files
+ * whose owners differ and, per owner, how many files they gain and lose.
+ * @param {string} baseContent
+ * @param {string} headContent
+ * @param {string[]} files
+ * @returns {Promise<{ paths: { path: string, before: string[], after: string[] }[],
+ *                     owners: { owner: string, gained: number, lost: number }[], fileCount: number }>}
+ */
+async function compareCodeownersVersions(baseContent, headContent, files) {
+    const baseRules = parseCodeownersRules(baseContent || '').rules;
+    const headRules = parseCodeownersRules(headContent || '').rules;
+    const paths = [];
+    const ownerChanges = new Map();
+    const countChange = (owner, key) => {
+        if (!ownerChanges.has(owner)) ownerChanges.set(owner, { owner, gained: 0, lost: 0 });
+        ownerChanges.get(owner)[key]++;
+    };
+
+    for (let i = 0; i < files.length; i++) {
+        const before = findMatchingRule(baseRules, files[i])?.owners || [];
+        const after = findMatchingRule(headRules, files[i])?.owners || [];
+        const gained = after.filter(owner => !before.includes(owner));
+        const lost = before.filter(owner => !after.includes(owner));
+        if (gained.length > 0 || lost.length > 0) {
+            paths.push({ path: files[i], before, after });
+            gained.forEach(owner => countChange(owner, 'gained'));
+            lost.forEach(owner => countChange(owner, 'lost'));
+        }
+        if ((i + 1) % ANALYSIS_BATCH_SIZE === 0) await yieldToEventLoop();
+    }
+
+    // Owners whose responsibility changes most first
+    const owners = Array.from(ownerChanges.values())
+        .sort((a, b) => (b.gained + b.lost) - (a.gained + a.lost) || a.owner.localeCompare(b.owner));
+    return { paths: paths.sort((a, b) => a.path.localeCompare(b.path)), owners, fileCount: files.length };
+}
+
+// A team owner counts as approved as soon as one of its members approved
+function isOwnerApprovedBy(owner, approvedReviewers, teamMembers) {
+    if (approvedReviewers.has(owner)) return true;
+
+    const members = teamMembers.get(owner);
+    return !!members && Array.from(members).some(member => approvedReviewers.has(member));
+}
+
+// An owner blocks when they (or, for teams, any member) requested changes
+function isOwnerBlockingIn(owner, reviewStates, teamMembers) {
+    if (reviewStates.get(owner) === REVIEW_STATES.CHANGES_REQUESTED) return true;
+
+    const members = teamMembers.get(owner);
+    return !!members && Array.from(members).some(member =>
+        reviewStates.get(member) === REVIEW_STATES.CHANGES_REQUESTED
+    );
+}
+
+// Display order of owner sets: smaller sets first, then sets nobody blocks with
+// requested changes, then sets with more approvals. The optional availability
+// score (lower is better, see getSetAvailabilityScore) breaks remaining ties.
+function compareOwnerSets(a, b, { isBlocking, isApproved, availabilityScore = null }) {
+    // First sort by length
+    if (a.length !== b.length) return a.length - b.length;
+
+    // Then sets nobody blocks with requested changes first
+    const aBlocked = a.some(isBlocking);
+    const bBlocked = b.some(isBlocking);
+    if (aBlocked !== bBlocked) return aBlocked ? 1 : -1;
+
+    // Then by approved status count (combinations with more approved reviewers first)
+    const approvedDifference = b.filter(isApproved).length - a.filter(isApproved).length;
+    if (approvedDifference !== 0 || !availabilityScore) return approvedDifference;
+
+    return availabilityScore(a) - availabilityScore(b);
+}
+
+// Availability score of an owner set (lower is better): the sum of the scores of
+// owners who haven't approved yet. A team counts as its most available member.
+function getSetAvailabilityScore(owners, reviewerScores, teamMembers, approvedReviewers) {
+    return owners.reduce((total, owner) => {
+        if (isOwnerApprovedBy(owner, approvedReviewers, teamMembers)) return total;
+
+        const members = teamMembers.get(owner);
+        const score = members && members.size > 0
+            ? Math.min(...Array.from(members, member => reviewerScores.get(member) || 0))
+            : reviewerScores.get(owner) || 0;
+        return total + score;
+    }, 0);
+}
+
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+class OwnershipAnalysis {
+    constructor() {
+        this.rules = [];
+        this.combinedSetSearch = null;
+        this.resetContext();
+    }
+
+    resetContext({
+        prAuthor = null,
+        ignoredOwners = [],
+        emailLogins = [],
+        teamMembers = [],
+        reviewStates = [],
+        maxCombinationSize = 5,
+        maxCombinationsToShow = 15
+    } = {}) {
+        this.prAuthor = prAuthor;
+        this.ignoredOwners = new Set(ignoredOwners);
+        this.emailLogins = new Map(emailLogins);
+        this.teamMembers = new Map(teamMembers.map(([team, members]) => [team, new Set(members)]));
+        this.reviewStates = new Map(reviewStates);
+        this.approvedReviewers = new Set(Array.from(this.reviewStates)
+            .filter(([, state]) => state === REVIEW_STATES.APPROVED)
+            .map(([reviewer]) => reviewer));
+        this.maxCombinationSize = maxCombinationSize;
+        this.maxCombinationsToShow = maxCombinationsToShow;
+    }
+
+    // Returns every owner named in the file, e.g. to resolve teams and emails
+    setCodeowners(content) {
+        const { rules, errors } = parseCodeownersRules(content || '');
+        this.rules = rules;
+        this.combinedSetSearch = null;
+
+        const owners = new Set(rules.flatMap(rule => rule.owners));
+        return { owners: Array.from(owners), ruleCount: rules.length, errors };
+    }
+
+    // Owners that can approve a file: emails resolved to logins, without the
+    // PR author and ignored owners
+    matchFile(filePath) {
+        const rule = findMatchingRule(this.rules, filePath);
+        const owners = rule
+            ? Array.from(new Set(rule.owners
+                .map(owner => this.emailLogins.get(owner) || owner)
+                .filter(owner => owner !== this.prAuthor && !this.ignoredOwners.has(owner))))
+            : [];
+        return { rule, owners };
+    }
+
+    isOwnerApproved(owner) {
+        return isOwnerApprovedBy(owner, this.approvedReviewers, this.teamMembers);
+    }
+
+    isOwnerBlocking(owner) {
+        return isOwnerBlockingIn(owner, this.reviewStates, this.teamMembers);
+    }
+
+    compareOwnerSets(a, b) {
+        return compareOwnerSets(a, b, {
+            isBlocking: owner => this.isOwnerBlocking(owner),
+            isApproved: owner => this.isOwnerApproved(owner)
+        });
+    }
+
+    /**
+     * Analyzes the changed files in steps, yielding messages as it goes:
+     *   { type: 'files', files: [[path, owners, rule]], done, total }
+     *       per batch of matched files; rule is { pattern, lineNumber, owners } or null
+     *   { type: 'partial', fullCoverageOwners, remaining, fileStats }
+     *       once every file is matched, before the combined set search
+     *   { type: 'result', fullCoverageOwners, combinedSets, hasMoreCombinedSets, remaining, fileStats }
+     * Stop iterating to cancel. isCancelled is checked after every pause, when
+     * other requests may have run and reset the context, so a cancelled analysis
+     * stops before the combined set search.
+     */
+    async *analyze(request, isCancelled = () => false) {
+        this.resetContext(request);
+        const { files } = request;
+
+        const ownerToFiles = new Map();
+        const filesWithOwners = new Set();
+        for (let start = 0; start < files.length; start += ANALYSIS_BATCH_SIZE) {
+            const batch = files.slice(start, start + ANALYSIS_BATCH_SIZE).map(file => {
+                const { rule, owners } = this.matchFile(file);
+                if (owners.length > 0) filesWithOwners.add(file);
+                owners.forEach(owner => {
+                    if (!ownerToFiles.has(owner)) {
+                        ownerToFiles.set(owner, new Set());
+                    }
+                    ownerToFiles.get(owner).add(file);
+                });
+                const ruleSummary = rule
+                    ? { pattern: rule.pattern, lineNumber: rule.lineNumber, owners: rule.owners }
+                    : null;
+                return [file, owners, ruleSummary];
+            });
+
+            yield { type: 'files', files: batch, done: start + batch.length, total: files.length };
+            await yieldToEventLoop();
+            if (isCancelled()) return;
+        }
+
+        // Owners with full coverage (of files that have owners)
+        const fullCoverageOwners = Array.from(ownerToFiles)
+            .filter(([, ownedFiles]) => ownedFiles.size === filesWithOwners.size)
+            .map(([owner]) => owner);
+
+        const fileStats = {
+            total: files.length,
+            withOwners: filesWithOwners.size,
+            withoutOwners: files.length - filesWithOwners.size
+        };
+
+        // Work out what the current approvals leave to do
+        const remaining = this.analyzeRemainingApprovals(ownerToFiles, filesWithOwners);
+
+        yield { type: 'partial', fullCoverageOwners, remaining, fileStats };
+        await yieldToEventLoop();
+        if (isCancelled()) return;
+
+        const { combinedSets, hasMore } = this.findCombinedOwnerSet(ownerToFiles, filesWithOwners);
+        yield {
+            type: 'result',
+            fullCoverageOwners,
+            combinedSets,
+            hasMoreCombinedSets: hasMore,
+            remaining,
+            fileStats
+        };
+    }
+
+    // Files that still lack an owner's approval, and the smallest sets of
+    // additional reviewers who could approve all of them
+    analyzeRemainingApprovals(ownerToFiles, filesWithOwners) {
+        const ownedFiles = Array.from(filesWithOwners);
+        const remainingFiles = new Set(ownedFiles.filter(file =>
+            !Array.from(ownerToFiles).some(([owner, files]) => files.has(file) && this.isOwnerApproved(owner))
+        ));
+        const result = {
+            approvedCount: ownedFiles.length - remainingFiles.size,
+            totalCount: ownedFiles.length,
+            remainingFiles: Array.from(remainingFiles),
+            reviewerSets: []
+        };
+        if (remainingFiles.size === 0) return result;
+
+        // Owners who approved already cover nothing that is left
+        const candidateCoverage = new Map();
+        ownerToFiles.forEach((files, owner) => {
+            if (this.isOwnerApproved(owner)) return;
+            const remainingOwned = Array.from(files).filter(file => remainingFiles.has(file));
+            if (remainingOwned.length > 0) {
+                candidateCoverage.set(owner, remainingOwned);
+            }
+        });
+
+        // Only the smallest sets: the solver yields them first
+        for (const cover of findMinimalOwnerCovers(candidateCoverage, remainingFiles, this.maxCombinationSize)) {
+            if (result.reviewerSets.length > 0 && cover.length > result.reviewerSets[0].length) break;
+            result.reviewerSets.push(cover);
+            if (result.reviewerSets.length >= this.maxCombinationsToShow) break;
+        }
+
+        // Sets nobody blocks with requested changes first
+        result.reviewerSets.sort((a, b) => this.compareOwnerSets(a, b));
+        return result;
+    }
+
+    findCombinedOwnerSet(ownerToFiles, filesWithOwners) {
+        // Owners with full coverage are listed on their own
+        const partialOwnerFiles = new Map(Array.from(ownerToFiles).filter(([, files]) =>
+            files.size !== filesWithOwners.size
+        ));
+
+        if (partialOwnerFiles.size === 0) {
+            this.combinedSetSearch = null;
+            return { combinedSets: [], hasMore: false };
+        }
+
+        // Covers are computed lazily; takeCombinedSets pulls the next batch
+        this.combinedSetSearch = {
+            iterator: findMinimalOwnerCovers(partialOwnerFiles, filesWithOwners, this.maxCombinationSize),
+            peeked: null
+        };
+        return this.takeCombinedSets();
+    }
+
+    // The next batch of combined sets, sorted for display
+    takeCombinedSets() {
+        if (!this.combinedSetSearch) return { combinedSets: [], hasMore: false };
+
+        const { values: combinedSets, hasMore } = takeFromIterator(this.combinedSetSearch, this.maxCombinationsToShow);
+
+        // Sort combinations by size for better UX (smaller combinations first)
+        combinedSets.sort((a, b) => this.compareOwnerSets(a, b));
+
+        return { combinedSets, hasMore };
+    }
+}
+
+/**
+ * Handles the analysis message protocol, shared by the worker and the in-page
+ * fallback. Requests carry an id that every reply repeats:
+ *   { type: 'setCodeowners', content }  -> { type: 'codeowners', owners, ruleCount, errors }
+ *   { type: 'analyze', files, ... }     -> the messages of OwnershipAnalysis#analyze
+ *   { type: 'moreCombinedSets' }        -> { type: 'combinedSets', combinedSets, hasMore }
+ *   { type: 'lint', content, files }    -> { type: 'lintFindings', findings }, see lintCodeowners
+ *   { type: 'compareCodeowners', baseContent, headContent, files }
+ *                                       -> { type: 'codeownersImpact', ... }, see compareCodeownersVersions
+ *   { type: 'cancel' }                  -> stops the running analysis without a reply
+ * A new 'analyze' request cancels the running one. Failures reply { type: 'error', message }.
+ */
+function createAnalysisHandler(post) {
+    const analysis = new OwnershipAnalysis();
+    let currentAnalysisId = null;
+
+    return async request => {
+        try {
+            if (request.type === 'setCodeowners') {
+                post({ id: request.id, type: 'codeowners', ...analysis.setCodeowners(request.content) });
+            } else if (request.type === 'analyze') {
+                currentAnalysisId = request.id;
+                const isCancelled = () => currentAnalysisId !== request.id;
+                for await (const message of analysis.analyze(request, isCancelled)) {
+                    if (isCancelled()) return;
+                    post({ id: request.id, ...message });
+                }
+            } else if (request.type === 'moreCombinedSets') {
+                post({ id: request.id, type: 'combinedSets', ...analysis.takeCombinedSets() });
+            } else if (request.type === 'lint') {
+                post({ id: request.id, type: 'lintFindings', findings: await lintCodeowners(request.content, request.files) });
+            } else if (request.type === 'compareCodeowners') {
+                const impact = await compareCodeownersVersions(request.baseContent, request.headContent, request.files);
+                post({ id: request.id, type: 'codeownersImpact', ...impact });
+            } else if (request.type === 'cancel') {
+                currentAnalysisId = null;
+            }
+        } catch (error) {
+            post({ id: request.id, type: 'error', message: error.message });
+        }
+    };
+}
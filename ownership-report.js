@@ -0,0 +1,200 @@
+// Ownership report: an analysis result as plain data with a stable schema, and
+// its Markdown, CSV and Slack renderings. DOM-free like ownership-core.js, so
+// the panel's export menu and the command line (cli.js) share it.
+
+// Bump when a field is removed or changes meaning; new fields keep the version
+const REPORT_SCHEMA_VERSION = 1;
+
+/**
+ * Builds the report of an analysis. Owners are described as
+ * { owner, state, approved } with state a REVIEW_STATES value or null.
+ * @param {object} analysis
+ * @param {string|null} analysis.repository  'org/repo'
+ * @param {number|null} analysis.pullRequest
+ * @param {string|null} analysis.url
+ * @param {{ path: string, ref: string }|null} analysis.codeowners
+ * @param {string[]} analysis.fullCoverageOwners
+ * @param {string[][]} analysis.combinedSets
+ * @param {{ remainingFiles: string[], reviewerSets: string[][] }} analysis.remaining
+ * @param {{ path: string, owners: string[], rule: { pattern: string, lineNumber: number }|null }[]} analysis.files
+ * @param {(owner: string) => string|null} [analysis.getReviewState]
+ * @returns {object}
+ */
+function createOwnershipReport({
+    repository = null,
+    pullRequest = null,
+    url = null,
+    codeowners = null,
+    fullCoverageOwners,
+    combinedSets,
+    remaining,
+    files,
+    getReviewState = () => null
+}) {
+    const describeOwner = owner => {
+        const state = getReviewState(owner) || null;
+        return { owner, state, approved: state === REVIEW_STATES.APPROVED };
+    };
+
+    const reportFiles = files.map(({ path, owners, rule }) => ({
+        path,
+        owners,
+        rule: rule ? { pattern: rule.pattern, line: rule.lineNumber } : null,
+        approved: owners.some(owner => getReviewState(owner) === REVIEW_STATES.APPROVED)
+    }));
+    const ownedFiles = reportFiles.filter(file => file.owners.length > 0);
+
+    return {
+        schemaVersion: REPORT_SCHEMA_VERSION,
+        generatedAt: new Date().toISOString(),
+        repository,
+        pullRequest,
+        url,
+        codeowners,
+        summary: {
+            files: reportFiles.length,
+            ownedFiles: ownedFiles.length,
+            unownedFiles: reportFiles.length - ownedFiles.length,
+            approvedFiles: ownedFiles.filter(file => file.approved).length,
+            readyToMerge: remaining.remainingFiles.length === 0
+        },
+        fullCoverageOwners: fullCoverageOwners.map(describeOwner),
+        combinedSets: combinedSets.map(set => set.map(describeOwner)),
+        stillNeeded: {
+            files: remaining.remainingFiles,
+            reviewerSets: remaining.reviewerSets.map(set => set.map(describeOwner))
+        },
+        files: reportFiles,
+        unownedFiles: reportFiles.filter(file => file.owners.length === 0).map(file => file.path)
+    };
+}
+
+// Review state markers shared by the text formats
+function getReportStateMarker(state) {
+    if (state === REVIEW_STATES.APPROVED) return ' ✅';
+    if (state === REVIEW_STATES.CHANGES_REQUESTED) return ' ❌';
+    return '';
+}
+
+function getReportTitle(report) {
+    if (!report.repository) return 'Code owners';
+    return report.pullRequest
+        ? `Code owners of ${report.repository}#${report.pullRequest}`
+        : `Code owners of ${report.repository}`;
+}
+
+function getReportApprovalSummary(report) {
+    const { summary } = report;
+    if (summary.ownedFiles === 0) return 'No changed files have code owners';
+    if (summary.readyToMerge) return 'Ready to merge (code owners)';
+    return `${summary.approvedFiles} of ${summary.ownedFiles} owned files approved`;
+}
+
+// Without mentions, owners are rendered as code so posting the report doesn't
+// notify every owner and team
+function formatReportMarkdown(report, { mentions = true } = {}) {
+    const code = text => `\`${text}\``;
+    const cell = text => text.replace(/\|/g, '\\|');
+    const ownerName = name => mentions ? name : code(name);
+    const owner = ({ owner: name, state }) => ownerName(name) + getReportStateMarker(state);
+    const ownerSet = set => set.map(owner).join(' + ');
+    const list = (items, empty) => items.length ? items.map(item => `- ${item}`) : [`_${empty}_`];
+
+    const lines = [
+        `## ${report.url ? `[${getReportTitle(report)}](${report.url})` : getReportTitle(report)}`,
+        '',
+        `**${getReportApprovalSummary(report)}**`
+    ];
+    if (report.codeowners) {
+        lines.push('', `Based on ${code(report.codeowners.path)} @ ${code(report.codeowners.ref)}`);
+    }
+
+    if (report.stillNeeded.files.length > 0) {
+        lines.push('', '### Still needed', '',
+            `${report.stillNeeded.files.length === 1 ? '1 file still needs' : `${report.stillNeeded.files.length} files still need`} approval from one of:`, '',
+            ...list(report.stillNeeded.reviewerSets.map(ownerSet), 'No small enough reviewer set'));
+    }
+
+    lines.push('', '### Full coverage owners', '', ...list(report.fullCoverageOwners.map(owner), 'None'));
+    lines.push('', '### Combined coverage sets', '', ...list(report.combinedSets.map(ownerSet), 'None'));
+
+    if (report.files.length > 0) {
+        lines.push('', '### Files', '', '| File | Owners | Rule | Approved |', '| --- | --- | --- | --- |');
+        report.files.forEach(file => {
+            const rule = file.rule ? `${code(cell(file.rule.pattern))} (line ${file.rule.line})` : '';
+            lines.push(`| ${code(cell(file.path))} | ${cell(file.owners.map(ownerName).join(' '))} | ${rule} | ${file.approved ? '✅' : ''} |`);
+        });
+    }
+
+    if (report.unownedFiles.length > 0) {
+        lines.push('', '### Unowned files', '', ...list(report.unownedFiles.map(code), 'None'));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// One row per changed file
+function formatReportCsv(report) {
+    const field = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    const rows = [['path', 'owners', 'rule', 'line', 'approved']];
+    report.files.forEach(file => {
+        rows.push([
+            file.path,
+            file.owners.join(' '),
+            file.rule ? file.rule.pattern : '',
+            file.rule ? String(file.rule.line) : '',
+            file.owners.length > 0 ? String(file.approved) : ''
+        ]);
+    });
+    return rows.map(row => row.map(field).join(',')).join('\n') + '\n';
+}
+
+// Slack mrkdwn has no headings or tables: bold titles and bullet lines instead
+function formatReportSlack(report) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const owner = ({ owner: name, state }) => escape(name) + getReportStateMarker(state);
+    const ownerSet = set => set.map(owner).join(' + ');
+    const list = (items, empty) => items.length ? items.map(item => `• ${item}`) : [`_${empty}_`];
+
+    const title = escape(getReportTitle(report));
+    const lines = [
+        report.url ? `*<${report.url}|${title}>*` : `*${title}*`,
+        getReportApprovalSummary(report)
+    ];
+    if (report.codeowners) {
+        lines.push(`Based on \`${escape(report.codeowners.path)}\` @ \`${escape(report.codeowners.ref)}\``);
+    }
+
+    if (report.stillNeeded.files.length > 0) {
+        lines.push('', `*Still needed* (${report.stillNeeded.files.length} file${report.stillNeeded.files.length === 1 ? '' : 's'})`,
+            ...list(report.stillNeeded.reviewerSets.map(ownerSet), 'No small enough reviewer set'));
+    }
+
+    lines.push('', '*Full coverage owners*', ...list(report.fullCoverageOwners.map(owner), 'None'));
+    lines.push('', '*Combined coverage sets*', ...list(report.combinedSets.map(ownerSet), 'None'));
+
+    if (report.files.length > 0) {
+        lines.push('', '*Files*', ...report.files.map(file =>
+            `• \`${escape(file.path)}\` ${file.owners.length ? escape(file.owners.join(' ')) : '_unowned_'}${file.approved ? ' ✅' : ''}`));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Hidden marker identifying the summary comment, so later runs edit it instead
+// of adding new comments
+const SUMMARY_COMMENT_MARKER = '<!-- code-owners-analyzer:summary -->';
+
+// The Markdown report as a pull request comment. Editing a comment notifies
+// new mentions again, so owners are never mentioned.
+function formatSummaryComment(report) {
+    return `${SUMMARY_COMMENT_MARKER}\n${formatReportMarkdown(report, { mentions: false })}\n_Updated ${report.generatedAt} by GitHub PR Code Owners Analyzer_\n`;
+}
+
+// Export formats by name: how to render a report and how to save it
+const REPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', format: formatReportMarkdown },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', format: report => JSON.stringify(report, null, 2) + '\n' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', format: formatReportCsv },
+    slack: { label: 'Slack', extension: 'txt', mimeType: 'text/plain', format: formatReportSlack }
+};
@@ -0,0 +1,367 @@
+// Code owner badges on a repository's pull request list. Each visible pull
+// request is analyzed as on its "Files changed" tab, from GitHub API data, and
+// its row gets a badge: approved by code owners, or who is still needed.
+// Needs a GitHub API token. Requests are throttled, and badges are cached
+// (analysis-cache.js) until the pull request or its CODEOWNERS file changes.
+
+// Pull requests loaded at the same time
+const PULL_LIST_CONCURRENCY = 2;
+// Reviewer sets named on a badge; its tooltip lists the rest
+const PULL_LIST_BADGE_SETS = 2;
+
+class PullListBadges {
+    constructor() {
+        // Settings, the API client, team and email resolution and the analysis
+        // worker come from an analyzer that never shows its panel here
+        this.analyzer = new CodeOwnersAnalyzer();
+        this.log = (...args) => this.analyzer.log(...args);
+        this.cache = null;
+
+        const [, owner, repo] = window.location.pathname.split('/');
+        this.owner = owner;
+        this.repo = repo;
+
+        // Pull request number -> badge ({ status, ... }, see describeAnalysis)
+        this.badges = new Map();
+        // Pull requests are loaded once they scroll into view
+        this.requested = new Set();
+        this.observedLinks = new WeakSet();
+        this.queue = [];
+        this.activeRequests = 0;
+
+        // base ref -> promise of its CODEOWNERS file ({ path, content, etag } or null)
+        this.codeowners = new Map();
+        // The worker runs one analysis at a time, for the CODEOWNERS content it got last
+        this.analysisQueue = Promise.resolve();
+        this.workerCodeowners = null;
+
+        this.rowObserver = null;
+        this.visibilityObserver = null;
+        this.updateScheduled = false;
+        this.isDestroyed = false;
+    }
+
+    async initialize() {
+        await this.analyzer.loadSettings();
+        const { settings } = this.analyzer;
+        const host = window.location.host;
+
+        if (!settings.pullListBadges) {
+            this.log('Pull list badges are switched off in the options');
+            return;
+        }
+        if (!isRepositoryEnabled(settings, host, this.owner, this.repo) ||
+            !isToggledOn(settings.toggleState, host, this.owner, this.repo)) {
+            this.log(`Analyzer is not enabled for ${host}/${this.owner}/${this.repo}, no pull list badges`);
+            return;
+        }
+        if (!this.analyzer.apiClient) {
+            this.log('Pull list badges need a GitHub API token');
+            return;
+        }
+        if (this.isDestroyed) return;
+
+        this.cache = new AnalysisCache({ repositoryKey: getRepositoryKey(host, this.owner, this.repo), log: this.log });
+
+        this.visibilityObserver = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+                this.visibilityObserver.unobserve(entry.target);
+                this.enqueue(Number(entry.target.dataset.codeOwnersPull));
+            });
+        });
+
+        // GitHub re-renders the list on filtering and pagination, dropping the badges
+        this.rowObserver = new MutationObserver(mutations => {
+            const isBadge = node => node.classList?.contains('code-owners-list-badge');
+            const relevant = mutations.some(mutation =>
+                [...mutation.addedNodes, ...mutation.removedNodes].some(node => node.nodeType === Node.ELEMENT_NODE && !isBadge(node))
+            );
+            if (!relevant || this.updateScheduled) return;
+
+            this.updateScheduled = true;
+            requestAnimationFrame(() => {
+                this.updateScheduled = false;
+                this.updateRows();
+            });
+        });
+        this.rowObserver.observe(document.body, { childList: true, subtree: true });
+
+        this.updateRows();
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+        if (this.rowObserver) {
+            this.rowObserver.disconnect();
+            this.rowObserver = null;
+        }
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        this.queue = [];
+        this.analyzer.analysis.disconnect();
+        document.querySelectorAll('.code-owners-list-badge').forEach(badge => badge.remove());
+    }
+
+    // Title links of this repository's pull requests, in the classic and the React list
+    findPullRequestLinks() {
+        const links = document.querySelectorAll('a[data-hovercard-type="pull_request"], a.js-navigation-open');
+        const found = [];
+        const rows = new Set();
+        links.forEach(link => {
+            const [, owner, repo, type, number, ...rest] = new URL(link.href, window.location.origin).pathname.split('/');
+            if (type !== 'pull' || !/^\d+$/.test(number || '') || rest.length > 0) return;
+            if (owner.toLowerCase() !== this.owner.toLowerCase() || repo.toLowerCase() !== this.repo.toLowerCase()) return;
+
+            // Only the first link of a row is its title
+            const row = link.closest('.js-issue-row, [role="listitem"], li') || link.parentElement;
+            if (rows.has(row)) return;
+            rows.add(row);
+            found.push({ link, number: Number(number) });
+        });
+        return found;
+    }
+
+    // Adds or refreshes the badge of every pull request on the page. Badges
+    // carry a signature of their content, so unchanged ones are left alone.
+    updateRows() {
+        if (this.isDestroyed) return;
+
+        this.findPullRequestLinks().forEach(({ link, number }) => {
+            if (!this.requested.has(number) && !this.observedLinks.has(link)) {
+                this.observedLinks.add(link);
+                link.dataset.codeOwnersPull = number;
+                this.visibilityObserver.observe(link);
+            }
+
+            const badge = this.badges.get(number);
+            const element = badge ? this.createBadge(badge) : null;
+            const signature = element ? `${element.className}|${element.title}|${element.innerHTML}` : '';
+            const existing = link.parentElement.querySelector(`.code-owners-list-badge[data-pull="${number}"]`);
+            if ((existing?.dataset.signature || '') === signature) return;
+
+            existing?.remove();
+            if (element) {
+                element.dataset.pull = number;
+                element.dataset.signature = signature;
+                link.insertAdjacentElement('afterend', element);
+            }
+        });
+    }
+
+    setBadge(number, badge) {
+        if (this.isDestroyed) return;
+        if (badge) {
+            this.badges.set(number, badge);
+        } else {
+            this.badges.delete(number);
+        }
+        this.updateRows();
+    }
+
+    createBadge(badge) {
+        const element = document.createElement('span');
+        element.className = 'code-owners-list-badge Label ml-1';
+
+        if (badge.status === 'loading') {
+            element.classList.add('Label--secondary');
+            element.textContent = 'Code owners…';
+            element.title = 'Analyzing code owners';
+        } else if (badge.status === 'approved') {
+            element.classList.add('Label--success');
+            element.textContent = '✓ Code owners';
+            element.title = `Code owners approved all ${badge.ownedFiles} owned files`;
+        } else if (badge.status === 'needed') {
+            const sets = badge.reviewerSets.map(set => set.join(' + '));
+            element.classList.add('Label--attention');
+            element.textContent = sets.length > 0
+                ? `needs: ${sets.slice(0, PULL_LIST_BADGE_SETS).join(' or ')}${sets.length > PULL_LIST_BADGE_SETS ? ' or …' : ''}`
+                : 'needs: code owners';
+            element.title = `${badge.remainingFiles} of ${badge.ownedFiles} owned files need a code owner's approval` +
+                (sets.length > 0
+                    ? `, from one of:\n${sets.join('\n')}`
+                    : `\nNo set of up to ${this.analyzer.MAX_COMBINATION_SIZE} owners covers them`);
+        } else if (badge.status === 'unowned') {
+            element.classList.add('Label--secondary');
+            element.textContent = 'No code owners';
+            element.title = badge.message || 'No changed file has code owners';
+        } else {
+            element.classList.add('Label--danger');
+            element.textContent = 'Code owners ?';
+            element.title = `Could not analyze code owners: ${badge.message}`;
+        }
+        return element;
+    }
+
+    enqueue(number) {
+        if (this.requested.has(number)) return;
+        this.requested.add(number);
+        this.queue.push(number);
+        this.processQueue();
+    }
+
+    processQueue() {
+        while (!this.isDestroyed && this.activeRequests < PULL_LIST_CONCURRENCY && this.queue.length > 0) {
+            const number = this.queue.shift();
+            this.activeRequests++;
+            this.updateBadge(number).finally(() => {
+                this.activeRequests--;
+                this.processQueue();
+            });
+        }
+    }
+
+    // The cached badge shows at once and is kept while the pull request, its
+    // CODEOWNERS file and the settings are unchanged
+    async updateBadge(number) {
+        const cached = await this.cache.get(`pullBadge:${number}`);
+        this.setBadge(number, cached ? cached.badge : { status: 'loading' });
+
+        try {
+            const provider = new GitHubApiDataProvider({
+                client: this.analyzer.apiClient,
+                owner: this.owner,
+                repo: this.repo,
+                pullNumber: number,
+                fallback: null,
+                log: this.log
+            });
+            const pullRequest = await provider.getPullRequest();
+            if (pullRequest.state !== 'open') {
+                this.setBadge(number, null);
+                return;
+            }
+
+            const codeowners = await this.getCodeowners(pullRequest.base.ref, provider);
+            // Reviews and review requests change updated_at, pushes the head commit
+            const version = {
+                headSha: pullRequest.head.sha,
+                updatedAt: pullRequest.updated_at,
+                codeowners: codeowners && codeowners.etag,
+                options: this.analyzer.getAnalysisOptions()
+            };
+            if (cached && JSON.stringify(cached.version) === JSON.stringify(version)) {
+                this.log(`Cached badge of #${number} is up to date`);
+                return;
+            }
+
+            const badge = await this.analyzePullRequest(provider, pullRequest, codeowners);
+            if (!badge || this.isDestroyed) return;
+            this.setBadge(number, badge);
+            this.cache.set(`pullBadge:${number}`, { version, badge });
+        } catch (error) {
+            console.error(`Failed to analyze code owners of #${number}:`, error);
+            if (!cached) this.setBadge(number, { status: 'error', message: error.message });
+        }
+    }
+
+    // Shares the panel's cached CODEOWNERS files, revalidated once per page
+    getCodeowners(ref, provider) {
+        if (!this.codeowners.has(ref)) {
+            const request = this.loadCodeowners(ref, provider);
+            this.codeowners.set(ref, request);
+            // Don't keep failures so a later pull request can retry
+            request.catch(() => this.codeowners.delete(ref));
+        }
+        return this.codeowners.get(ref);
+    }
+
+    async loadCodeowners(ref, provider) {
+        const cached = await this.cache.get(`codeowners:${ref}`);
+        if (cached) {
+            const file = await provider.getFile(ref, cached.path, cached.etag);
+            if (file && (file.notModified || file.content === cached.content)) return cached;
+            if (file) {
+                const codeowners = { path: cached.path, content: file.content, etag: file.etag };
+                this.cache.set(`codeowners:${ref}`, codeowners);
+                return codeowners;
+            }
+        }
+
+        for (const path of this.analyzer.CODEOWNERS_LOCATIONS) {
+            const file = await provider.getFile(ref, path);
+            if (file) {
+                const codeowners = { path, content: file.content, etag: file.etag };
+                this.cache.set(`codeowners:${ref}`, codeowners);
+                return codeowners;
+            }
+        }
+        return null;
+    }
+
+    // Resolves with the badge, or null when the list was left meanwhile
+    async analyzePullRequest(provider, pullRequest, codeowners) {
+        if (!codeowners) {
+            return { status: 'unowned', message: `No CODEOWNERS file on ${pullRequest.base.ref}` };
+        }
+
+        const [files, reviewStates] = await Promise.all([provider.getChangedFiles(), provider.getReviewStates()]);
+
+        const analyze = async () => {
+            if (this.isDestroyed) return null;
+            if (this.workerCodeowners !== codeowners.content) {
+                const { owners } = await this.analyzer.analysis.setCodeowners(codeowners.content);
+                this.workerCodeowners = codeowners.content;
+                this.analyzer.codeownersOwners = owners;
+                await this.analyzer.resolveTeamOwners();
+                await this.analyzer.resolveEmailOwners();
+            }
+
+            const request = this.analyzer.createAnalysisRequest({
+                files,
+                prAuthor: '@' + pullRequest.user.login,
+                reviewStates
+            });
+            // What is still needed is known before the combined sets are searched;
+            // the next analysis cancels that search
+            return new Promise((resolve, reject) => {
+                this.analyzer.analysis.analyze(request, message => {
+                    if (message.type === 'partial') resolve(message);
+                }).then(resolve, reject);
+            });
+        };
+        this.analysisQueue = this.analysisQueue.catch(() => {}).then(analyze);
+        const result = await this.analysisQueue;
+
+        return result && this.describeAnalysis(result);
+    }
+
+    describeAnalysis({ remaining, fileStats }) {
+        if (fileStats.withOwners === 0) {
+            return { status: 'unowned' };
+        }
+        if (remaining.remainingFiles.length === 0) {
+            return { status: 'approved', ownedFiles: fileStats.withOwners };
+        }
+        return {
+            status: 'needed',
+            ownedFiles: fileStats.withOwners,
+            remainingFiles: remaining.remainingFiles.length,
+            reviewerSets: remaining.reviewerSets
+        };
+    }
+}
+
+// A repository's pull request list, with or without a search query
+function isPullListPage() {
+    return /^\/[^/]+\/[^/]+\/pulls\/?$/.test(window.location.pathname);
+}
+
+let currentPullList = null;
+
+function initializePullList() {
+    destroyPullList();
+    currentPullList = new PullListBadges();
+    currentPullList.initialize().catch(error => {
+        console.error('Error initializing pull list badges:', error);
+    });
+}
+
+function destroyPullList() {
+    if (currentPullList) {
+        currentPullList.destroy();
+        currentPullList = null;
+    }
+}
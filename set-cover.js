@@ -0,0 +1,218 @@
+// Minimum set cover for code owner combinations: which owners together can
+// approve a set of files. Pure functions without DOM access, loaded before
+// ownership-core.js.
+
+/**
+ * Groups owners with identical coverage into classes and drops classes whose
+ * files are a strict subset of another class's. A dropped owner is never
+ * needed: any set using them can use the owner covering more instead.
+ * Coverage is limited to targetFiles; owners covering none of them are left out.
+ * @param {Map<string, Iterable<string>>} ownerToFiles
+ * @param {Set<string>} targetFiles
+ * @returns {{ owners: string[], files: Set<string> }[]}
+ */
+function reduceOwnerClasses(ownerToFiles, targetFiles) {
+    const classesByCoverage = new Map();
+    ownerToFiles.forEach((files, owner) => {
+        const covered = new Set(Array.from(files).filter(file => targetFiles.has(file)));
+        if (covered.size === 0) return;
+
+        const key = Array.from(covered).sort().join('\n');
+        if (!classesByCoverage.has(key)) {
+            classesByCoverage.set(key, { owners: [], files: covered });
+        }
+        classesByCoverage.get(key).owners.push(owner);
+    });
+
+    const classes = Array.from(classesByCoverage.values());
+    const isStrictSubset = (a, b) => a.size < b.size && Array.from(a).every(file => b.has(file));
+    return classes.filter(ownerClass => !classes.some(other => isStrictSubset(ownerClass.files, other.files)));
+}
+
+// Index-based view of the problem shared by the search functions below
+function createCoverProblem(classes, targetFiles) {
+    const fileIndex = new Map(Array.from(targetFiles).map((file, index) => [file, index]));
+    const classFiles = classes.map(ownerClass => Array.from(ownerClass.files).map(file => fileIndex.get(file)));
+
+    // Classes able to cover each file, largest first so good covers are found early
+    const order = classFiles.map((files, index) => index).sort((a, b) => classFiles[b].length - classFiles[a].length);
+    const candidates = Array.from(targetFiles, () => []);
+    order.forEach(classIndex => classFiles[classIndex].forEach(file => candidates[file].push(classIndex)));
+
+    return {
+        classFiles,
+        candidates,
+        fileCount: targetFiles.size,
+        largestClass: Math.max(0, ...classFiles.map(files => files.length)),
+        coverCounts: new Int32Array(targetFiles.size),
+        uncovered: targetFiles.size
+    };
+}
+
+function addClassToCover(problem, classIndex) {
+    problem.classFiles[classIndex].forEach(file => {
+        if (problem.coverCounts[file]++ === 0) problem.uncovered--;
+    });
+}
+
+function removeClassFromCover(problem, classIndex) {
+    problem.classFiles[classIndex].forEach(file => {
+        if (--problem.coverCounts[file] === 0) problem.uncovered++;
+    });
+}
+
+// Fewest classes that could still cover what is left
+function coverLowerBound(problem) {
+    return Math.ceil(problem.uncovered / problem.largestClass);
+}
+
+// The uncovered file with the fewest usable candidates: branching on it keeps the search narrow
+function pickUncoveredFile(problem, isUsable) {
+    let bestFile = -1;
+    let bestCount = Infinity;
+    for (let file = 0; file < problem.fileCount; file++) {
+        if (problem.coverCounts[file] > 0) continue;
+        const count = problem.candidates[file].filter(isUsable).length;
+        if (count < bestCount) {
+            bestFile = file;
+            bestCount = count;
+            if (count <= 1) break;
+        }
+    }
+    return bestFile;
+}
+
+// Greedy cover size, an upper bound for the exact search
+function greedyCoverSize(problem) {
+    const chosen = [];
+    while (problem.uncovered > 0) {
+        let bestClass = -1;
+        let bestGain = 0;
+        problem.classFiles.forEach((files, classIndex) => {
+            const gain = files.filter(file => problem.coverCounts[file] === 0).length;
+            if (gain > bestGain) {
+                bestClass = classIndex;
+                bestGain = gain;
+            }
+        });
+        if (bestClass < 0) break;
+        addClassToCover(problem, bestClass);
+        chosen.push(bestClass);
+    }
+
+    const size = problem.uncovered === 0 ? chosen.length : Infinity;
+    chosen.forEach(classIndex => removeClassFromCover(problem, classIndex));
+    return size;
+}
+
+// Exact minimum cover size by branch-and-bound, or Infinity above maxSize
+function findMinimumCoverSize(problem, maxSize) {
+    let best = Math.min(greedyCoverSize(problem), maxSize + 1);
+    if (best <= 1) return best;
+
+    const search = depth => {
+        if (problem.uncovered === 0) {
+            best = Math.min(best, depth);
+            return;
+        }
+        if (depth + coverLowerBound(problem) >= best) return;
+
+        const file = pickUncoveredFile(problem, () => true);
+        for (const classIndex of problem.candidates[file]) {
+            addClassToCover(problem, classIndex);
+            search(depth + 1);
+            removeClassFromCover(problem, classIndex);
+            if (best === depth + 1) return;
+        }
+    };
+    search(0);
+
+    return best <= maxSize ? best : Infinity;
+}
+
+// Every cover of exactly `size` classes in which each class covers some file
+// no other chosen class does. Each cover is produced once: after trying a
+// class for a file, the remaining branches for that file exclude it.
+function* enumerateCoversOfSize(problem, size) {
+    const chosen = [];
+    const excluded = new Uint8Array(problem.classFiles.length);
+    const isUsable = classIndex => !excluded[classIndex];
+
+    const isIrredundant = () => chosen.every(classIndex =>
+        problem.classFiles[classIndex].some(file => problem.coverCounts[file] === 1));
+
+    function* search() {
+        if (problem.uncovered === 0) {
+            if (chosen.length === size && isIrredundant()) yield chosen.slice();
+            return;
+        }
+        if (chosen.length + coverLowerBound(problem) > size) return;
+
+        const file = pickUncoveredFile(problem, isUsable);
+        const options = problem.candidates[file].filter(isUsable);
+        for (const classIndex of options) {
+            addClassToCover(problem, classIndex);
+            chosen.push(classIndex);
+            yield* search();
+            chosen.pop();
+            removeClassFromCover(problem, classIndex);
+            excluded[classIndex] = 1;
+        }
+        options.forEach(classIndex => { excluded[classIndex] = 0; });
+    }
+
+    yield* search();
+}
+
+// Every way to pick one owner from each class
+function* expandOwnerClasses(classes) {
+    if (classes.length === 0) {
+        yield [];
+        return;
+    }
+    const [first, ...rest] = classes;
+    for (const tail of expandOwnerClasses(rest)) {
+        for (const owner of first.owners) {
+            yield [owner, ...tail];
+        }
+    }
+}
+
+/**
+ * Lazily yields the minimal owner sets that together own every target file:
+ * smallest sets first, up to maxSize owners, never a superset of another set.
+ * Pull only as many as you show; the rest are never computed.
+ * @param {Map<string, Iterable<string>>} ownerToFiles
+ * @param {Set<string>} targetFiles
+ * @param {number} maxSize
+ * @returns {Generator<string[]>}
+ */
+function* findMinimalOwnerCovers(ownerToFiles, targetFiles, maxSize) {
+    if (targetFiles.size === 0) return;
+
+    const classes = reduceOwnerClasses(ownerToFiles, targetFiles);
+    const problem = createCoverProblem(classes, targetFiles);
+    if (problem.candidates.some(fileCandidates => fileCandidates.length === 0)) return;
+
+    const minimumSize = findMinimumCoverSize(problem, maxSize);
+    const largestSize = Math.min(maxSize, classes.length);
+    for (let size = minimumSize; size <= largestSize; size++) {
+        for (const cover of enumerateCoversOfSize(problem, size)) {
+            yield* expandOwnerClasses(cover.map(classIndex => classes[classIndex]));
+        }
+    }
+}
+
+// Pulls up to `count` values from an iterator. `hasMore` peeks one value ahead,
+// which is kept for the next call.
+function takeFromIterator(state, count) {
+    const values = [];
+    while (values.length < count) {
+        const next = state.peeked || state.iterator.next();
+        state.peeked = null;
+        if (next.done) return { values, hasMore: false };
+        values.push(next.value);
+    }
+    state.peeked = state.iterator.next();
+    return { values, hasMore: !state.peeked.done };
+}
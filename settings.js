@@ -0,0 +1,146 @@
+// Settings shared by the content script, the options page and the background
+// worker. Everything here lives in chrome.storage.sync; the (potentially large)
+// team mapping is kept in chrome.storage.local under TEAM_MAPPING_KEY.
+const DEFAULT_SETTINGS = {
+    // Analysis limits
+    maxCombinationSize: 5,
+    maxCombinationsToShow: 15,
+
+    debugMode: false,
+
+    // Where the analyzer runs. Organizations are "org" (on github.com),
+    // "host/org" or "host" (every organization on a GitHub Enterprise Server host),
+    // repositories are "org/repo" or "host/org/repo". The default keeps the
+    // analyzer on the organization it was written for; empty lists enable it on
+    // every github.com repository.
+    enabledOrganizations: ['mceSystems'],
+    enabledRepositories: [],
+
+    githubToken: '',
+    // Empty uses the API of the current host
+    apiBaseUrl: '',
+
+    panelCollapsed: false,
+
+    // Code owner badges on the pull request list (needs a token)
+    pullListBadges: true,
+
+    // Owners left out of the analysis, e.g. bots
+    ignoredOwners: [],
+
+    // Rank owner sets of the same size by reviewer availability: GitHub status
+    // and open review requests (with a token), and the local out-of-office list
+    rankByAvailability: false,
+    outOfOfficeReviewers: [],
+
+    emailAliases: {},
+    emailLookupViaApi: false,
+
+    // Repositories ("org/repo" or "host/org/repo") where the ownership summary
+    // may be published as a pull request comment
+    summaryCommentRepositories: []
+};
+
+const TEAM_MAPPING_KEY = 'teamMapping';
+const DEFAULT_HOST = 'github.com';
+
+// State of the toolbar toggle, kept in chrome.storage.local. Repositories are
+// "host/org/repo" keys as returned by getRepositoryKey.
+const TOGGLE_STATE_KEY = 'toggleState';
+const DEFAULT_TOGGLE_STATE = {
+    enabled: true,
+    disabledRepositories: []
+};
+
+async function loadExtensionSettings() {
+    const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+    const {
+        [TEAM_MAPPING_KEY]: teamMapping,
+        [TOGGLE_STATE_KEY]: toggleState
+    } = await chrome.storage.local.get({ [TEAM_MAPPING_KEY]: {}, [TOGGLE_STATE_KEY]: DEFAULT_TOGGLE_STATE });
+    return { ...settings, teamMapping, toggleState: { ...DEFAULT_TOGGLE_STATE, ...toggleState } };
+}
+
+async function loadToggleState() {
+    const { [TOGGLE_STATE_KEY]: toggleState } = await chrome.storage.local.get({ [TOGGLE_STATE_KEY]: DEFAULT_TOGGLE_STATE });
+    return { ...DEFAULT_TOGGLE_STATE, ...toggleState };
+}
+
+function getRepositoryKey(host, org, repo) {
+    return `${host}/${org}/${repo}`.toLowerCase();
+}
+
+// Whether the toolbar toggle leaves the analyzer on for a repository
+function isToggledOn(toggleState, host, org, repo) {
+    return toggleState.enabled && !toggleState.disabledRepositories.includes(getRepositoryKey(host, org, repo));
+}
+
+// Hosts contain a dot, organization and repository names never do
+function parseLocation(entry) {
+    const parts = entry.trim().replace(/^https?:\/\//, '').split('/').filter(Boolean);
+    const host = parts[0]?.includes('.') ? parts.shift().toLowerCase() : DEFAULT_HOST;
+    const [org = '*', repo = '*'] = parts;
+    return { host, org, repo };
+}
+
+// Every location the analyzer is enabled on, as { host, org, repo } with '*' wildcards
+function getEnabledLocations(settings) {
+    const locations = [
+        ...settings.enabledOrganizations.map(entry => ({ ...parseLocation(entry), repo: '*' })),
+        ...settings.enabledRepositories.map(parseLocation)
+    ];
+    return locations.length > 0 ? locations : [{ host: DEFAULT_HOST, org: '*', repo: '*' }];
+}
+
+// Organizations and repositories are compared case-insensitively, like GitHub does
+function matchesLocation(location, host, org, repo) {
+    const matches = (pattern, value) => pattern === '*' || pattern.toLowerCase() === value.toLowerCase();
+    return location.host === host.toLowerCase() && matches(location.org, org) && matches(location.repo, repo);
+}
+
+function isRepositoryEnabled(settings, host, org, repo) {
+    return getEnabledLocations(settings).some(location => matchesLocation(location, host, org, repo));
+}
+
+// Publishing the summary comment is opt-in; an empty list allows it nowhere
+function isSummaryCommentEnabled(settings, host, org, repo) {
+    return settings.summaryCommentRepositories
+        .map(parseLocation)
+        .some(location => matchesLocation(location, host, org, repo));
+}
+
+// Origins the extension needs host permissions for, including a custom API
+// base URL (e.g. a mock API on http://localhost; match patterns cover any port)
+function getRequiredOrigins(settings) {
+    const hosts = new Set(getEnabledLocations(settings).map(location => location.host));
+    const origins = new Set(Array.from(hosts).map(host => `https://${host}/*`));
+    if (settings.apiBaseUrl) {
+        try {
+            const { protocol, hostname } = new URL(settings.apiBaseUrl);
+            origins.add(`${protocol}//${hostname}/*`);
+        } catch (error) {
+            // An invalid URL fails its requests and is reported then
+        }
+    }
+    return Array.from(origins);
+}
+
+// Match patterns for the "Files changed" tab of pull requests and the pull
+// request list in every enabled location
+function getContentScriptMatches(settings) {
+    return getEnabledLocations(settings).flatMap(({ host, org, repo }) => [
+        `https://${host}/${org}/${repo}/pull/*/files`,
+        `https://${host}/${org}/${repo}/pull/*/files*`,
+        `https://${host}/${org}/${repo}/pulls*`
+    ]);
+}
+
+// Logs in debug mode, for code without loaded settings such as the background
+// worker or events outside an analyzer. Reads the setting each time, so a
+// change to it applies at once.
+async function debugLog(message, ...args) {
+    const { debugMode } = await chrome.storage.sync.get({ debugMode: DEFAULT_SETTINGS.debugMode });
+    if (debugMode) {
+        console.log(message, ...args);
+    }
+}
@@ -0,0 +1,41 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('set-cover.js', 'ownership-core.js');
+
+// Every owner approved, so only the combined set search runs the solver
+const createRequest = id => ({
+    id,
+    type: 'analyze',
+    files: ['src/app.js', 'docs/guide.md'],
+    reviewStates: [['@alice', REVIEW_STATES.APPROVED], ['@bob', REVIEW_STATES.APPROVED]]
+});
+
+test('a newer analysis stops the running one before its combined set search', async () => {
+    const searches = [];
+    const solve = findMinimalOwnerCovers;
+    findMinimalOwnerCovers = (...args) => {
+        searches.push(args);
+        return solve(...args);
+    };
+
+    try {
+        const messages = [];
+        let newer = null;
+        const handle = createAnalysisHandler(message => {
+            messages.push(message);
+            // The newer request arrives while the first waits to search
+            if (message.id === 1 && message.type === 'partial') newer = handle(createRequest(2));
+        });
+
+        await handle({ id: 0, type: 'setCodeowners', content: '*.js @alice\n*.md @bob\n' });
+        await handle(createRequest(1));
+        await newer;
+
+        assert.equal(searches.length, 1);
+        assert.deepEqual(messages.filter(message => message.type === 'result').map(message => message.id), [2]);
+    } finally {
+        findMinimalOwnerCovers = solve;
+    }
+});
@@ -0,0 +1,38 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('set-cover.js', 'ownership-core.js');
+
+const ownersOf = (content, path) => findMatchingRule(parseCodeownersRules(content).rules, path)?.owners || [];
+
+// Rules the health section reports as ignored must not assign owners either
+test('character ranges are ignored by the matcher and reported by the linter', async () => {
+    const content = '* @default\n/src/[ab].js @ranges\n';
+
+    assert.deepEqual(ownersOf(content, 'src/a.js'), ['@default']);
+    assert.deepEqual(ownersOf(content, 'src/[ab].js'), ['@default']);
+    assert.deepEqual(await lintCodeowners(content), [{
+        lineNumber: 2,
+        severity: 'error',
+        message: 'Invalid pattern /src/[ab].js: Character ranges ([...]) are not supported by GitHub'
+    }]);
+});
+
+test('an escaped leading # is ignored by the matcher and reported by the linter', async () => {
+    const content = '* @default\n\\#notes.md @hash\n';
+
+    assert.deepEqual(ownersOf(content, '#notes.md'), ['@default']);
+    assert.deepEqual(await lintCodeowners(content), [{
+        lineNumber: 2,
+        severity: 'error',
+        message: 'Invalid pattern \\#notes.md: Escaping a leading # is not supported by GitHub; the line is ignored'
+    }]);
+});
+
+test('an unclosed [ is a literal character', async () => {
+    const content = 'docs/[draft @drafts\n';
+
+    assert.deepEqual(ownersOf(content, 'docs/[draft'), ['@drafts']);
+    assert.deepEqual(await lintCodeowners(content), []);
+});
@@ -0,0 +1,148 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('set-cover.js', 'ownership-core.js');
+
+const ownersOf = (content, path) => findMatchingRule(parseCodeownersRules(content).rules, path)?.owners || [];
+
+// The example file from GitHub's CODEOWNERS documentation
+const GITHUB_EXAMPLE = `
+# These owners will be the default owners for everything in the repo
+*       @global-owner1 @global-owner2
+*.js    @js-owner #This is an inline comment.
+*.go docs@example.com
+*.txt @octo-org/octocats
+/build/logs/ @doctocat
+docs/*  docs@example.com
+apps/ @octocat
+/docs/ @doctocat
+/scripts/ @doctocat @octocat
+**/logs @octocat
+/apps/ @octocat
+/apps/github
+`;
+
+// [description, CODEOWNERS content, [path, expected owners][]]
+const CASES = [
+    ['GitHub example, last matching rule wins', GITHUB_EXAMPLE, [
+        ['README.md', ['@global-owner1', '@global-owner2']],
+        ['src/app.js', ['@js-owner']],
+        ['cmd/main.go', ['docs@example.com']],
+        ['notes/todo.txt', ['@octo-org/octocats']],
+        ['build/logs/output.log', ['@octocat']],
+        ['docs/setup.md', ['@doctocat']],
+        ['scripts/deploy.sh', ['@doctocat', '@octocat']],
+        ['src/server/logs/today.txt', ['@octocat']],
+        ['apps/web/index.js', ['@octocat']],
+        ['lib/apps/tool.rb', ['@octocat']],
+        ['apps/github/index.js', []]
+    ]],
+    ['* matches within one directory at any depth', '*.js @js\n', [
+        ['index.js', ['@js']],
+        ['src/deep/index.js', ['@js']],
+        ['index.jsx', []]
+    ]],
+    ['* in a path only owns direct children', 'docs/* @docs\n', [
+        ['docs/getting-started.md', ['@docs']],
+        ['docs/build-app/troubleshooting.md', []],
+        ['src/docs/readme.md', []]
+    ]],
+    ['? matches one character but not /', 'v?.txt @v\n', [
+        ['v1.txt', ['@v']],
+        ['v10.txt', []],
+        ['v/.txt', []]
+    ]],
+    ['leading **', '**/logs @logs\n', [
+        ['logs/a.log', ['@logs']],
+        ['build/logs/a.log', ['@logs']],
+        ['a/b/logs/c/d.log', ['@logs']],
+        ['catalogs/a.log', []]
+    ]],
+    ['trailing **', '/build/** @build\n', [
+        ['build/a', ['@build']],
+        ['build/a/b/c', ['@build']],
+        ['src/build/a', []]
+    ]],
+    ['middle **', 'a/**/b @ab\n', [
+        ['a/b', ['@ab']],
+        ['a/x/b', ['@ab']],
+        ['a/x/y/b/file', ['@ab']],
+        ['a/xb', []]
+    ]],
+    ['directory rule with a trailing /', '/docs/ @docs\n', [
+        ['docs/a.md', ['@docs']],
+        ['docs/a/b.md', ['@docs']],
+        ['docs', []]
+    ]],
+    ['directory rule without a trailing /', '/docs @docs\n', [
+        ['docs', ['@docs']],
+        ['docs/a/b.md', ['@docs']],
+        ['documents/a.md', []]
+    ]],
+    ['unanchored directory matches at any depth', 'apps/ @apps\n', [
+        ['apps/x', ['@apps']],
+        ['lib/apps/x', ['@apps']],
+        ['apps', []]
+    ]],
+    ['anchored file', '/README.md @root\n', [
+        ['README.md', ['@root']],
+        ['pkg/README.md', []]
+    ]],
+    ['unanchored file', 'README.md @any\n', [
+        ['README.md', ['@any']],
+        ['pkg/README.md', ['@any']]
+    ]],
+    ['a / in the middle anchors', 'src/lib @lib\n', [
+        ['src/lib/a.js', ['@lib']],
+        ['pkg/src/lib/a.js', []]
+    ]],
+    ['escaped space', 'my\\ file.txt @space\n', [
+        ['my file.txt', ['@space']],
+        ['my', []]
+    ]],
+    ['escaped *', 'literal\\*.md @star\n', [
+        ['literal*.md', ['@star']],
+        ['literalX.md', []]
+    ]],
+    ['# inside a pattern and trailing comments', 'c#/ @csharp # C# code\n', [
+        ['c#/Program.cs', ['@csharp']]
+    ]],
+    ['a rule without owners clears ownership', '* @all\n/vendor/\n', [
+        ['src/a.js', ['@all']],
+        ['vendor/lib.js', []]
+    ]],
+    ['dots are literal', '*.min.js @min\n', [
+        ['app.min.js', ['@min']],
+        ['appXminXjs', []]
+    ]],
+    ['an unclosed [ is literal', 'a[b @literal\n', [
+        ['a[b', ['@literal']],
+        ['ab', []]
+    ]]
+];
+
+CASES.forEach(([description, content, expectations]) => {
+    test(description, () => {
+        assert.deepEqual(parseCodeownersRules(content).errors, []);
+        expectations.forEach(([path, owners]) => {
+            assert.deepEqual(ownersOf(content, path), owners, `owners of ${path}`);
+        });
+    });
+});
+
+test('negated patterns are rejected', () => {
+    const { rules, errors } = parseCodeownersRules('!*.js @nobody\n');
+    assert.equal(rules.length, 0);
+    assert.equal(errors[0].lineNumber, 1);
+});
+
+// GitHub's documentation lists character ranges among the gitignore features
+// CODEOWNERS doesn't support, so such rules are skipped rather than matched
+test('rules with character ranges are skipped', () => {
+    const content = '* @all\nfile[0-9].txt @digits\n';
+    const { rules, errors } = parseCodeownersRules(content);
+    assert.equal(rules.length, 1);
+    assert.equal(errors[0].lineNumber, 2);
+    assert.deepEqual(ownersOf(content, 'file1.txt'), ['@all']);
+});
@@ -0,0 +1,138 @@
+const assert = require('node:assert/strict');
+const { after, before, test } = require('node:test');
+const { loadScripts } = require('./helpers/load-scripts');
+const { MOCK_TOKEN, startMockGitHubApi } = require('./mock-github-api');
+
+loadScripts('set-cover.js', 'ownership-core.js', 'github-api.js', 'data-providers.js');
+
+const MARKER = '<!-- code-owners-analyzer:summary -->';
+
+let api;
+
+before(async () => {
+    api = await startMockGitHubApi();
+});
+
+after(() => api.close());
+
+// A fresh client per test: the authenticated user is memoized on the client
+function createProvider({ pullNumber = 7, token = MOCK_TOKEN, fallback = null } = {}) {
+    const client = new GitHubApiClient({ baseUrl: `${api.url}/`, token });
+    return new GitHubApiDataProvider({ client, owner: 'octo', repo: 'app', pullNumber, fallback });
+}
+
+test('reads the changed files across pages', async () => {
+    const pullRequest = api.fixtures.repositories['octo/app'].pulls[7];
+    const files = pullRequest.files;
+    pullRequest.files = Array.from({ length: 250 }, (_, index) => `src/file${index}.js`);
+    try {
+        const changedFiles = await createProvider().getChangedFiles();
+        assert.equal(changedFiles.length, 250);
+        assert.equal(changedFiles[249], 'src/file249.js');
+        const pageRequests = api.requests.filter(request => request.path.startsWith('/repos/octo/app/pulls/7/files'));
+        assert.equal(pageRequests.length, 3);
+    } finally {
+        pullRequest.files = files;
+    }
+});
+
+test('reads the author, state and refs of the pull request', async () => {
+    const provider = createProvider();
+    assert.equal(await provider.getPRAuthor(), '@erin');
+    assert.deepEqual(await provider.getPRState(), {
+        state: 'open', isOpen: true, isClosed: false, isMerged: false, isDraft: false
+    });
+    assert.equal(await provider.getBaseRef(), 'main');
+    assert.equal(await provider.getHeadSha(), 'head1');
+});
+
+test('reduces reviews and adds pending requested reviewers and teams', async () => {
+    const states = await createProvider().getReviewStates();
+    assert.deepEqual(Object.fromEntries(states), {
+        '@alice': REVIEW_STATES.APPROVED,
+        '@bob': REVIEW_STATES.PENDING,
+        '@octo/core': REVIEW_STATES.PENDING
+    });
+});
+
+test('lists the repository files at a ref', async () => {
+    const files = await createProvider().getRepositoryFiles('main');
+    assert.deepEqual(files, ['.github/CODEOWNERS', 'src/app.js', 'docs/guide.md', 'README.md']);
+});
+
+test('revalidates a file with its ETag', async () => {
+    const provider = createProvider();
+    const file = await provider.getFile('main', '.github/CODEOWNERS');
+    assert.match(file.content, /^\* @octo\/core$/m);
+    assert.ok(file.etag);
+
+    assert.deepEqual(await provider.getFile('main', '.github/CODEOWNERS', file.etag), { notModified: true });
+    assert.equal(await provider.getFile('main', 'CODEOWNERS'), null);
+});
+
+test('combines rulesets with the protection of an unprotected branch', async () => {
+    const requirements = await createProvider().getMergeRequirements();
+    assert.deepEqual(requirements, {
+        requireCodeOwnerReview: true,
+        requiredApprovingReviewCount: 1,
+        dismissStaleReviews: false,
+        branch: 'main',
+        sources: ['rulesets', 'branch protection'],
+        unreadable: []
+    });
+});
+
+// GitHub answers 404 when the token can't read a protected branch's settings
+test('reports unreadable protection of a protected branch', async () => {
+    const branch = api.fixtures.repositories['octo/app'].branches.main;
+    branch.protected = true;
+    try {
+        const requirements = await createProvider().getMergeRequirements();
+        assert.deepEqual(requirements.sources, ['rulesets']);
+        assert.deepEqual(requirements.unreadable, ['branch protection']);
+    } finally {
+        branch.protected = false;
+    }
+});
+
+test('compares approved commits with the head', async () => {
+    const changed = await createProvider().getFilesChangedSinceApproval();
+    assert.deepEqual(Array.from(changed.get('@alice')), ['src/util.js']);
+});
+
+test('requests reviewers', async () => {
+    const pullRequest = api.fixtures.repositories['octo/app'].pulls[7];
+    const [reviewers, teams] = [pullRequest.requested_reviewers.length, pullRequest.requested_teams.length];
+    try {
+        await createProvider().requestReviewers({ users: ['alice'], teams: ['docs'] });
+        assert.deepEqual(pullRequest.requested_reviewers.at(-1), { login: 'alice' });
+        assert.deepEqual(pullRequest.requested_teams.at(-1), { slug: 'docs' });
+    } finally {
+        pullRequest.requested_reviewers.length = reviewers;
+        pullRequest.requested_teams.length = teams;
+    }
+});
+
+test('finds only comments of the token user and updates them', async () => {
+    const provider = createProvider();
+    // Only someone else's comment contains the marker
+    assert.equal(await provider.findComment(MARKER), null);
+
+    const posted = await provider.saveComment(`${MARKER}\nFirst`);
+    assert.deepEqual(await provider.findComment(MARKER), posted);
+
+    const updated = await provider.saveComment(`${MARKER}\nSecond`, posted.id);
+    assert.equal(updated.id, posted.id);
+    const comments = api.fixtures.repositories['octo/app'].pulls[7].comments;
+    assert.equal(comments.find(comment => comment.id === posted.id).body, `${MARKER}\nSecond`);
+});
+
+test('throws API errors without a fallback provider', async () => {
+    await assert.rejects(createProvider({ pullNumber: 8 }).getPRAuthor(), error => error.status === 404);
+    await assert.rejects(createProvider({ token: 'wrong' }).getChangedFiles(), error => error.status === 401);
+});
+
+test('falls back to the given provider', async () => {
+    const fallback = { getPRAuthor: async () => '@scraped' };
+    assert.equal(await createProvider({ pullNumber: 8, fallback }).getPRAuthor(), '@scraped');
+});
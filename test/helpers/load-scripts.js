@@ -0,0 +1,15 @@
+// The extension's files are classic scripts sharing one global scope. Tests
+// load them into this context with vm; each test file runs in its own
+// process, so every file is loaded once.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(...files) {
+    files.forEach(file => {
+        const filename = path.join(__dirname, '..', '..', file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    });
+}
+
+module.exports = { loadScripts };
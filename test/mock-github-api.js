@@ -0,0 +1,230 @@
+// A local stand-in for the parts of the GitHub REST API the extension uses,
+// serving in-memory fixtures. The tests start it on a free port; run it on its
+// own to point the extension at it (API base URL http://localhost:3000):
+//   node test/mock-github-api.js [port]
+const crypto = require('crypto');
+const http = require('http');
+
+const MOCK_TOKEN = 'mock-token';
+
+// One open pull request in octo/app: a CODEOWNERS file on main, an approval of
+// an earlier commit, a pending team and a comment by someone else
+function createSampleFixtures() {
+    const codeowners = '* @octo/core\n/src/ @alice\n/docs/ @bob\n';
+    return {
+        user: { login: 'octocat' },
+        teams: { 'octo/core': ['carol', 'dave'] },
+        repositories: {
+            'octo/app': {
+                trees: {
+                    main: { '.github/CODEOWNERS': codeowners, 'src/app.js': '', 'docs/guide.md': '', 'README.md': '' },
+                    head1: { '.github/CODEOWNERS': codeowners, 'src/app.js': '', 'src/util.js': '', 'docs/guide.md': '', 'README.md': '' }
+                },
+                // Rulesets apply to main; it has no classic branch protection
+                rules: { main: [{ type: 'pull_request', parameters: { require_code_owner_review: true, required_approving_review_count: 1 } }] },
+                branches: { main: { name: 'main', protected: false } },
+                protection: {},
+                comparisons: { 'base1...head1': ['src/util.js'] },
+                pulls: {
+                    7: {
+                        number: 7,
+                        state: 'open',
+                        draft: false,
+                        merged_at: null,
+                        updated_at: '2024-06-01T12:00:00Z',
+                        user: { login: 'erin' },
+                        base: { ref: 'main', sha: 'base1' },
+                        head: { ref: 'feature', sha: 'head1' },
+                        requested_reviewers: [{ login: 'bob' }],
+                        requested_teams: [{ slug: 'core' }],
+                        files: ['src/app.js', 'src/util.js', 'docs/guide.md', 'README.md'],
+                        reviews: [
+                            { user: { login: 'alice' }, state: 'COMMENTED', commit_id: 'base1' },
+                            { user: { login: 'alice' }, state: 'APPROVED', commit_id: 'base1' }
+                        ],
+                        comments: [
+                            { id: 100, user: { login: 'erin' }, body: 'Quoting the bot:\n> <!-- code-owners-analyzer:summary -->' }
+                        ]
+                    }
+                }
+            }
+        }
+    };
+}
+
+const etagOf = content => `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(JSON.stringify(body));
+}
+
+// Lists are paginated like GitHub's: per_page and page, with a rel="next" Link
+function sendPage(response, url, items) {
+    const perPage = Number(url.searchParams.get('per_page')) || 30;
+    const page = Number(url.searchParams.get('page')) || 1;
+    const headers = {};
+    if (page * perPage < items.length) {
+        const next = new URL(url);
+        next.searchParams.set('page', page + 1);
+        headers.Link = `<${next}>; rel="next"`;
+    }
+    sendJson(response, 200, items.slice((page - 1) * perPage, page * perPage), headers);
+}
+
+async function readJson(request) {
+    let body = '';
+    for await (const chunk of request) body += chunk;
+    return body ? JSON.parse(body) : {};
+}
+
+function createRoutes(fixtures) {
+    let nextCommentId = 1000;
+    const repository = ({ owner, repo }) => fixtures.repositories[`${owner}/${repo}`];
+    const pull = params => repository(params)?.pulls[params.number];
+
+    // [method, path pattern, handler(params, context)]; a handler returning
+    // undefined answers 404
+    return [
+        ['GET', '/user', () => [200, fixtures.user]],
+        ['GET', '/repos/:owner/:repo/pulls/:number', params => pull(params) && [200, pull(params)]],
+        ['GET', '/repos/:owner/:repo/pulls/:number/files', params => pull(params) &&
+            ['page', pull(params).files.map(filename => ({ filename, status: 'modified' }))]],
+        ['GET', '/repos/:owner/:repo/pulls/:number/reviews', params => pull(params) && ['page', pull(params).reviews]],
+        ['POST', '/repos/:owner/:repo/pulls/:number/requested_reviewers', (params, { body }) => {
+            const pullRequest = pull(params);
+            if (!pullRequest) return undefined;
+            pullRequest.requested_reviewers.push(...(body.reviewers || []).map(login => ({ login })));
+            pullRequest.requested_teams.push(...(body.team_reviewers || []).map(slug => ({ slug })));
+            return [201, pullRequest];
+        }],
+        ['GET', '/repos/:owner/:repo/issues/:number/comments', params => pull(params) && ['page', pull(params).comments]],
+        ['POST', '/repos/:owner/:repo/issues/:number/comments', (params, { body }) => {
+            const pullRequest = pull(params);
+            if (!pullRequest) return undefined;
+            const comment = { id: nextCommentId++, user: fixtures.user, body: body.body };
+            comment.html_url = `https://github.com/${params.owner}/${params.repo}/pull/${params.number}#issuecomment-${comment.id}`;
+            pullRequest.comments.push(comment);
+            return [201, comment];
+        }],
+        ['PATCH', '/repos/:owner/:repo/issues/comments/:id', (params, { body }) => {
+            const comments = Object.values(repository(params)?.pulls || {}).flatMap(pullRequest => pullRequest.comments);
+            const comment = comments.find(candidate => String(candidate.id) === params.id);
+            if (!comment) return undefined;
+            if (comment.user.login !== fixtures.user.login) return [403, { message: 'Must have admin rights to Repository.' }];
+            comment.body = body.body;
+            return [200, comment];
+        }],
+        ['GET', '/repos/:owner/:repo/contents/*path', (params, { url, request }) => {
+            const content = repository(params)?.trees[url.searchParams.get('ref')]?.[params.path];
+            if (content === undefined) return undefined;
+            const etag = etagOf(content);
+            if (request.headers['if-none-match'] === etag) return [304, null, { ETag: etag }];
+            return [200, content, { ETag: etag, 'Content-Type': 'text/plain' }];
+        }],
+        ['GET', '/repos/:owner/:repo/git/trees/:ref', params => {
+            const tree = repository(params)?.trees[params.ref];
+            return tree && [200, { truncated: false, tree: Object.keys(tree).map(path => ({ path, type: 'blob' })) }];
+        }],
+        ['GET', '/repos/:owner/:repo/compare/:range', params => {
+            const files = repository(params)?.comparisons[params.range];
+            return files && [200, { files: files.map(filename => ({ filename })) }];
+        }],
+        ['GET', '/repos/:owner/:repo/rules/branches/:branch', params => {
+            const rules = repository(params)?.rules[params.branch];
+            return rules && ['page', rules];
+        }],
+        ['GET', '/repos/:owner/:repo/branches/:branch', params => {
+            const branch = repository(params)?.branches[params.branch];
+            return branch && [200, branch];
+        }],
+        ['GET', '/repos/:owner/:repo/branches/:branch/protection/required_pull_request_reviews', params => {
+            const protection = repository(params)?.protection[params.branch];
+            return protection && [200, protection];
+        }],
+        ['GET', '/orgs/:org/teams/:slug/members', params => {
+            const members = fixtures.teams[`${params.org}/${params.slug}`];
+            return members && ['page', members.map(login => ({ login }))];
+        }]
+    ];
+}
+
+// '/repos/:owner/:repo' -> RegExp with named groups; '*name' matches the rest of the path
+function compileRoute(path) {
+    const source = path
+        .replace(/\*(\w+)$/, '(?<$1>.+)')
+        .replace(/:(\w+)/g, '(?<$1>[^/]+)');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Starts the mock API. Requests are recorded in `requests` as { method, path }.
+ * @param {{ port?: number, fixtures?: object }} [options]
+ * @returns {Promise<{ url: string, fixtures: object, requests: object[], close: () => Promise<void> }>}
+ */
+function startMockGitHubApi({ port = 0, fixtures = createSampleFixtures() } = {}) {
+    const routes = createRoutes(fixtures).map(([method, path, handler]) => ({ method, pattern: compileRoute(path), handler }));
+    const requests = [];
+
+    const server = http.createServer(async (request, response) => {
+        // The extension calls the API from github.com pages
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Expose-Headers', 'ETag, Link');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, POST, PATCH',
+                'Access-Control-Allow-Headers': 'Accept, Authorization, Content-Type, If-None-Match',
+                'Access-Control-Allow-Private-Network': 'true'
+            });
+            response.end();
+            return;
+        }
+
+        const url = new URL(request.url, `http://${request.headers.host}`);
+        requests.push({ method: request.method, path: url.pathname + url.search });
+
+        if (request.headers.authorization !== `Bearer ${MOCK_TOKEN}`) {
+            sendJson(response, 401, { message: 'Bad credentials' });
+            return;
+        }
+
+        try {
+            const path = decodeURIComponent(url.pathname);
+            const route = routes.find(candidate => candidate.method === request.method && candidate.pattern.test(path));
+            const body = request.method === 'GET' ? {} : await readJson(request);
+            const result = route && route.handler(path.match(route.pattern).groups || {}, { url, request, body });
+
+            if (!result) {
+                sendJson(response, 404, { message: 'Not Found' });
+            } else if (result[0] === 'page') {
+                sendPage(response, url, result[1]);
+            } else if (typeof result[1] === 'string' || result[1] === null) {
+                response.writeHead(result[0], result[2] || {});
+                response.end(result[1] || undefined);
+            } else {
+                sendJson(response, result[0], result[1], result[2]);
+            }
+        } catch (error) {
+            sendJson(response, 500, { message: error.message });
+        }
+    });
+
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                fixtures,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { MOCK_TOKEN, createSampleFixtures, startMockGitHubApi };
+
+if (require.main === module) {
+    startMockGitHubApi({ port: Number(process.argv[2]) || 3000 }).then(({ url }) => {
+        console.log(`Mock GitHub API on ${url}, token ${MOCK_TOKEN}`);
+    });
+}
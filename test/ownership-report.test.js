@@ -0,0 +1,42 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers/load-scripts');
+
+loadScripts('set-cover.js', 'ownership-core.js', 'ownership-report.js');
+
+function createReport() {
+    return createOwnershipReport({
+        repository: 'octo/app',
+        pullRequest: 7,
+        url: 'https://github.com/octo/app/pull/7',
+        codeowners: { path: '.github/CODEOWNERS', ref: 'main' },
+        fullCoverageOwners: ['@octo/core'],
+        combinedSets: [['@alice', 'dev@example.com']],
+        remaining: { remainingFiles: ['src/app.js'], reviewerSets: [['@alice'], ['@octo/core']] },
+        files: [
+            { path: 'src/app.js', owners: ['@alice', '@octo/core'], rule: { pattern: 'src/', lineNumber: 2 } },
+            { path: 'docs/@types/index.md', owners: ['dev@example.com'], rule: { pattern: '*.md', lineNumber: 1 } },
+            { path: 'README', owners: [], rule: null }
+        ],
+        getReviewState: owner => owner === '@alice' ? REVIEW_STATES.PENDING : null
+    });
+}
+
+// Inline code spans are never rendered as mentions
+const withoutCode = markdown => markdown.replace(/`[^`\n]*`/g, '');
+
+test('the summary comment mentions no owner', () => {
+    const body = formatSummaryComment(createReport());
+
+    assert.ok(body.startsWith(SUMMARY_COMMENT_MARKER));
+    assert.match(body, /`@alice`/);
+    assert.match(body, /`@octo\/core`/);
+    assert.doesNotMatch(withoutCode(body), /@[A-Za-z0-9]/);
+});
+
+test('the exported Markdown report keeps plain owners', () => {
+    const markdown = formatReportMarkdown(createReport());
+
+    assert.match(withoutCode(markdown), /- @octo\/core\n/);
+    assert.match(withoutCode(markdown), /\| @alice @octo\/core \|/);
+});
@@ -0,0 +1,86 @@
+// Benchmarks the combined set search on synthetic large pull requests:
+//   node test/set-cover.bench.js
+// Each scenario reports the time to the first batch of sets (what the panel
+// shows) and to the first 1000 sets.
+const { performance } = require('perf_hooks');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createRandom } = require('./helpers/random');
+
+loadScripts('settings.js', 'set-cover.js');
+
+const MAX_SIZE = DEFAULT_SETTINGS.maxCombinationSize;
+const BATCH_SIZE = DEFAULT_SETTINGS.maxCombinationsToShow;
+
+// Files spread over directories, each directory owned by a few teams, plus a
+// few owners of whole areas: the shape of a large monorepo PR
+function monorepo(random, { files, directories, owners }) {
+    const ownerToFiles = new Map();
+    const addFile = (owner, file) => {
+        if (!ownerToFiles.has(owner)) ownerToFiles.set(owner, []);
+        ownerToFiles.get(owner).push(file);
+    };
+    const directoryOwners = Array.from({ length: directories }, () =>
+        Array.from({ length: 1 + Math.floor(random() * 3) }, () => `@org/team${Math.floor(random() * owners)}`));
+
+    const targetFiles = new Set();
+    for (let i = 0; i < files; i++) {
+        const directory = Math.floor(random() * directories);
+        const file = `dir${directory}/file${i}`;
+        targetFiles.add(file);
+        directoryOwners[directory].forEach(owner => addFile(owner, file));
+        addFile(`@area${directory % 4}`, file);
+    }
+    return { ownerToFiles, targetFiles };
+}
+
+// Owners each owning a random share of the files: little structure to exploit
+function scattered(random, { files, owners, share }) {
+    const fileNames = Array.from({ length: files }, (_, i) => `file${i}`);
+    const ownerToFiles = new Map();
+    for (let i = 0; i < owners; i++) {
+        ownerToFiles.set(`@user${i}`, fileNames.filter(() => random() < share));
+    }
+    // Every file has an owner
+    fileNames.forEach((file, i) => ownerToFiles.get(`@user${i % owners}`).push(file));
+    return { ownerToFiles, targetFiles: new Set(fileNames) };
+}
+
+// Many owners sharing a few coverage patterns, e.g. every member of a team listed
+function duplicated(random, { files, groups, membersPerGroup }) {
+    const fileNames = Array.from({ length: files }, (_, i) => `file${i}`);
+    const ownerToFiles = new Map();
+    for (let group = 0; group < groups; group++) {
+        const owned = fileNames.filter((file, i) => i % groups === group || random() < 0.1);
+        for (let member = 0; member < membersPerGroup; member++) {
+            ownerToFiles.set(`@group${group}-member${member}`, owned);
+        }
+    }
+    return { ownerToFiles, targetFiles: new Set(fileNames) };
+}
+
+const SCENARIOS = [
+    ['monorepo, 5000 files, 80 teams', random => monorepo(random, { files: 5000, directories: 150, owners: 80 })],
+    ['scattered, 300 files, 60 owners', random => scattered(random, { files: 300, owners: 60, share: 0.6 })],
+    ['scattered, 100 files, 40 owners', random => scattered(random, { files: 100, owners: 40, share: 0.45 })],
+    ['duplicated, 1000 files, 4 groups of 10', random => duplicated(random, { files: 1000, groups: 4, membersPerGroup: 10 })]
+];
+
+function measure(callback) {
+    const start = performance.now();
+    const result = callback();
+    return { result, milliseconds: performance.now() - start };
+}
+
+SCENARIOS.forEach(([name, create]) => {
+    const { ownerToFiles, targetFiles } = create(createRandom(42));
+
+    const first = measure(() => takeFromIterator(
+        { iterator: findMinimalOwnerCovers(ownerToFiles, targetFiles, MAX_SIZE), peeked: null }, BATCH_SIZE));
+    const many = measure(() => takeFromIterator(
+        { iterator: findMinimalOwnerCovers(ownerToFiles, targetFiles, MAX_SIZE), peeked: null }, 1000));
+
+    const sizes = first.result.values.map(set => set.length);
+    console.log(name);
+    console.log(`  first ${BATCH_SIZE}: ${first.milliseconds.toFixed(1)} ms, ${first.result.values.length} sets of ${sizes.length ? `${Math.min(...sizes)}-${Math.max(...sizes)}` : 'no'} owners`);
+    console.log(`  first 1000: ${many.milliseconds.toFixed(1)} ms, ${many.result.values.length} sets${many.result.hasMore ? ' and more' : ''}`);
+});
@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { loadScripts } = require('./helpers/load-scripts');
+const { createRandom } = require('./helpers/random');
+
+loadScripts('set-cover.js');
+
+// Random ownership of a small PR: each owner owns each file with some probability
+function createInstance(random) {
+    const fileCount = 1 + Math.floor(random() * 8);
+    const ownerCount = 1 + Math.floor(random() * 9);
+    const density = 0.15 + random() * 0.5;
+    const files = Array.from({ length: fileCount }, (_, i) => `file${i}`);
+    const ownerToFiles = new Map();
+    for (let i = 0; i < ownerCount; i++) {
+        ownerToFiles.set(`@owner${i}`, files.filter(() => random() < density));
+    }
+    return { ownerToFiles, targetFiles: new Set(files), maxSize: 1 + Math.floor(random() * 4) };
+}
+
+// Every cover up to maxSize in which no owner is redundant and no owner's files
+// are a strict subset of another owner's, by trying every subset of owners
+function bruteForceCovers({ ownerToFiles, targetFiles, maxSize }) {
+    const owners = Array.from(ownerToFiles.keys());
+    const coverage = new Map(owners.map(owner => [owner, new Set(ownerToFiles.get(owner).filter(file => targetFiles.has(file)))]));
+    const isStrictSubset = (a, b) => a.size < b.size && Array.from(a).every(file => b.has(file));
+    const dominated = new Set(owners.filter(owner => owners.some(other => isStrictSubset(coverage.get(owner), coverage.get(other)))));
+    const covers = set => Array.from(targetFiles).every(file => set.some(owner => coverage.get(owner).has(file)));
+
+    const result = [];
+    for (let mask = 1; mask < (1 << owners.length); mask++) {
+        const set = owners.filter((owner, i) => mask & (1 << i));
+        if (set.length > maxSize || set.some(owner => dominated.has(owner)) || !covers(set)) continue;
+        if (set.some(owner => covers(set.filter(other => other !== owner)))) continue;
+        result.push(set);
+    }
+    return result;
+}
+
+function minimumCoverSize({ ownerToFiles, targetFiles }) {
+    const owners = Array.from(ownerToFiles.keys());
+    let minimum = Infinity;
+    for (let mask = 1; mask < (1 << owners.length); mask++) {
+        const set = owners.filter((owner, i) => mask & (1 << i));
+        if (Array.from(targetFiles).every(file => set.some(owner => ownerToFiles.get(owner).includes(file)))) {
+            minimum = Math.min(minimum, set.length);
+        }
+    }
+    return minimum;
+}
+
+const normalize = sets => sets.map(set => set.slice().sort().join(' ')).sort();
+
+test('matches brute force on random small PRs', () => {
+    const random = createRandom(20240601);
+    for (let i = 0; i < 500; i++) {
+        const instance = createInstance(random);
+        const found = Array.from(findMinimalOwnerCovers(instance.ownerToFiles, instance.targetFiles, instance.maxSize));
+        const message = `instance ${i}: ${JSON.stringify(Array.from(instance.ownerToFiles))}, max ${instance.maxSize}`;
+
+        assert.deepEqual(normalize(found), normalize(bruteForceCovers(instance)), message);
+
+        // Smallest sets first, starting at the true minimum
+        const minimum = minimumCoverSize(instance);
+        if (minimum <= instance.maxSize) {
+            assert.equal(found[0].length, minimum, message);
+        } else {
+            assert.equal(found.length, 0, message);
+        }
+        found.forEach((set, index) => {
+            if (index > 0) assert.ok(set.length >= found[index - 1].length, message);
+        });
+    }
+});
+
+test('owners with identical files are interchangeable', () => {
+    const ownerToFiles = new Map([['@a', ['x', 'y']], ['@b', ['x', 'y']], ['@c', ['z']], ['@d', ['x']]]);
+    const found = Array.from(findMinimalOwnerCovers(ownerToFiles, new Set(['x', 'y', 'z']), 3));
+    assert.deepEqual(normalize(found), ['@a @c', '@b @c']);
+});
+
+test('takeFromIterator peeks one value ahead', () => {
+    const state = { iterator: [1, 2, 3][Symbol.iterator](), peeked: null };
+    assert.deepEqual(takeFromIterator(state, 2), { values: [1, 2], hasMore: true });
+    assert.deepEqual(takeFromIterator(state, 2), { values: [3], hasMore: false });
+});